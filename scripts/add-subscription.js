@@ -2,47 +2,244 @@
 import "dotenv/config";
 import Database from "better-sqlite3";
 import { randomUUID } from "crypto";
+import { google } from "googleapis";
+import {
+    parseWeekdays,
+    parseTimeRange,
+    parseDateRange,
+} from "./timeFilter.js";
+import { transformFromArg } from "./transforms.js";
+import { remindersFromArg } from "./reminders.js";
+import { compileFilter } from "./filterExpr.js";
+import { openTokenStore } from "./tokenStore.js";
+import { authClientFor, authFailureReason, reconnectCommand } from "./profiles.js";
+import { EXIT, usageError } from "./cli.js";
 
 const db = new Database(process.env.DB_PATH || "./sync.db");
 
-const [, , tokenKey, sourceCalId, targetCalId, ...filters] = process.argv;
+const USAGE =
+    "Usage:\n  node script/add-subscription.js <TOKEN_KEY> <SOURCE_CAL_ID> <TARGET_CAL_ID> <filters...>" +
+    " [--regex|--expr] [--label=<name>] [--disabled] [--no-check]" +
+    " [--weekdays=mon,tue] [--time=HH:MM-HH:MM] [--dates=YYYY-MM-DD..YYYY-MM-DD] [--transform=<json|@file>] [--reminders=<popup:30,...|json|@file>]\n" +
+    "\n  --regex       filters are one case-insensitive regex instead of keywords" +
+    "\n  --expr        filters are a filter expression (see README)" +
+    "\n  --label       name shown next to the id in list/status" +
+    "\n  --disabled    create it paused (enable later with: npm run update -- <SUB_ID> --enable)" +
+    "\n  --no-check    skip checking calendar access with the profile's credentials\n" +
+    "\nExamples:" +
+    "\n  node script/add-subscription.js acepeax all_courses@group.calendar.google.com you@gmail.com Math 201 AI 305 PHY101" +
+    "\n  node script/add-subscription.js acepeax all_courses@group.calendar.google.com you@gmail.com 'Convex optimization' --weekdays=mon,thu --time=08:00-18:00 --dates=2025-09-01..2026-01-31" +
+    "\n  node script/add-subscription.js acepeax all_courses@group.calendar.google.com you@gmail.com --regex '^(MATH|PHY)[0-9]+' --label='Science courses'";
 
-if (!tokenKey || !sourceCalId || !targetCalId || filters.length === 0) {
+const VALUE_OPTIONS = ["--weekdays", "--time", "--dates", "--transform", "--reminders", "--label"];
+const FLAGS = ["--regex", "--expr", "--disabled", "--no-check"];
+
+// --key=value options and --flags; everything else is positional
+const options = new Map();
+const flags = new Set();
+const positionals = [];
+for (const t of process.argv.slice(2)) {
+    if (t.startsWith("--") && t.includes("=")) {
+        const eq = t.indexOf("=");
+        options.set(t.slice(0, eq), t.slice(eq + 1));
+    } else if (t.startsWith("--")) flags.add(t);
+    else positionals.push(t);
+}
+const unknown =
+    [...options.keys()].find((o) => !VALUE_OPTIONS.includes(o)) ||
+    [...flags].find((f) => !FLAGS.includes(f));
+if (unknown) usageError(USAGE, `Unknown option: ${unknown}`);
+
+const [tokenKey, sourceCalId, targetCalId, ...filters] = positionals;
+if (!tokenKey || !sourceCalId || !targetCalId || filters.length === 0) usageError(USAGE);
+if (flags.has("--regex") && flags.has("--expr")) usageError(USAGE, "Pick one of --regex or --expr.");
+
+/** filter_type + filters_raw, stored the way update-subscription-courses.js does. */
+function filterFrom(values) {
+    if (flags.has("--regex")) {
+        const raw = values.join(" ");
+        try {
+            new RegExp(raw, "i");
+        } catch (e) {
+            throw new Error(`Invalid regex: ${e.message}`);
+        }
+        return { type: "regex", raw };
+    }
+    if (flags.has("--expr")) {
+        const raw = values.join(" ");
+        compileFilter(raw); // throws with the position of a syntax error
+        return { type: "expr", raw };
+    }
+    return { type: "keywords", raw: values.join(",") }; // comma-separated keywords
+}
+
+let filter, weekdays, time, dates, transform, reminders;
+try {
+    filter = filterFrom(filters);
+    weekdays = parseWeekdays(options.get("--weekdays"));
+    time = parseTimeRange(options.get("--time"));
+    dates = parseDateRange(options.get("--dates"));
+    transform = transformFromArg(options.get("--transform"));
+    reminders = remindersFromArg(options.get("--reminders"));
+} catch (e) {
+    console.error(e.message);
+    process.exit(EXIT.USAGE);
+}
+const label = options.get("--label")?.trim() || null;
+const enabled = !flags.has("--disabled");
+
+/* -------------------- access pre-flight -------------------- */
+
+const READ_ROLES = ["reader", "writer", "owner"]; // freeBusyReader sees no event details
+const WRITE_ROLES = ["writer", "owner"];
+
+/**
+ * The profile's role on a calendar from its calendar list, or "readable" for a
+ * calendar it can open without having it listed (public or shared, not added); null
+ * when it cannot see the calendar at all.
+ */
+async function accessRole(calendar, calendarId) {
+    try {
+        const { data } = await calendar.calendarList.get({ calendarId });
+        return data.accessRole;
+    } catch (e) {
+        if (e?.code !== 404) throw e;
+    }
+    try {
+        await calendar.calendars.get({ calendarId });
+        return "readable";
+    } catch (e) {
+        if (e?.code !== 404) throw e;
+        return null;
+    }
+}
+
+/** Load the profile and check it can read the source and write the target; exits if not. */
+async function checkAccess() {
+    const payload = await openTokenStore({ db }).load(tokenKey);
+    if (!payload) {
+        console.error(`❌ No stored credentials for profile ${tokenKey}.`);
+        console.error(`   Connect it first: ${reconnectCommand(tokenKey)}`);
+        process.exit(EXIT.NOT_FOUND);
+    }
+    const calendar = google.calendar({ version: "v3", auth: authClientFor(tokenKey, payload) });
+
+    let source, target;
+    try {
+        source = await accessRole(calendar, sourceCalId);
+        target = await accessRole(calendar, targetCalId);
+    } catch (e) {
+        const reason = authFailureReason(e);
+        if (!reason) throw e;
+        console.error(`❌ Profile ${tokenKey} cannot sign in (${reason}).`);
+        console.error(`   Connect it again: ${reconnectCommand(tokenKey, payload)}`);
+        process.exit(EXIT.FAILURE);
+    }
+
+    const problems = [];
+    if (source !== "readable" && !READ_ROLES.includes(source)) {
+        problems.push(
+            `source ${sourceCalId}: ${
+                source ? `only ${source} access (event details are hidden)` : "not found or not shared with this profile"
+            }`
+        );
+    }
+    if (!WRITE_ROLES.includes(target)) {
+        problems.push(
+            `target ${targetCalId}: ${
+                target === "readable"
+                    ? "not in the profile's calendar list, write access cannot be confirmed"
+                    : target
+                    ? `${target} access, needs writer or owner`
+                    : "not found or not shared with this profile"
+            }`
+        );
+    }
+    if (problems.length) {
+        console.error(`❌ Profile ${tokenKey} cannot be used for this subscription:`);
+        for (const p of problems) console.error(`   ${p}`);
+        console.error("   (--no-check skips this check)");
+        process.exit(EXIT.FAILURE);
+    }
+    console.log(`🔐 Access ok: source ${source}, target ${target}`);
+}
+
+/* -------------------- main -------------------- */
+
+const DUPLICATE = `SELECT id, label FROM subscriptions
+                   WHERE token_key=? AND source_calendar_id=? AND target_calendar_id=? AND is_enabled=1`;
+
+function refuseDuplicate(existing) {
     console.error(
-        "Usage:\n  node script/add-subscription.js <TOKEN_KEY> <SOURCE_CAL_ID> <TARGET_CAL_ID> <filters...>"
+        `❌ Subscription ${existing.id}${existing.label ? ` (${existing.label})` : ""} already mirrors ${sourceCalId} into ${targetCalId} for ${tokenKey}.`
     );
-    console.error("\nExamples:");
     console.error(
-        "  node script/add-subscription.js acepeax all_courses@group.calendar.google.com you@gmail.com Math 201 AI 305 PHY101"
+        "   Only one enabled subscription per profile, source and target: change its filters with " +
+            `npm run update -- ${existing.id} ..., or add this one with --disabled.`
     );
-    process.exit(1);
+    process.exit(EXIT.FAILURE);
 }
 
-const id = randomUUID();
-const filterStr = filters.join(","); // comma-separated keywords
+async function main() {
+    // ux_sub_unique: checked up front so the pre-flight isn't wasted on a duplicate
+    const existing = enabled && db.prepare(DUPLICATE).get(tokenKey, sourceCalId, targetCalId);
+    if (existing) refuseDuplicate(existing);
+
+    if (!flags.has("--no-check")) await checkAccess();
 
-db.prepare(
-    `
-  INSERT INTO subscriptions(id,token_key,source_calendar_id,target_calendar_id,filter_type,filters_raw,is_enabled,created_at,updated_at)
-  VALUES(?,?,?,?,?,?,1,?,?)
+    const id = randomUUID();
+    const now = Date.now();
+    try {
+        db.transaction(() => {
+            db.prepare(
+                `
+  INSERT INTO subscriptions(id,token_key,source_calendar_id,target_calendar_id,filter_type,filters_raw,label,
+                            weekdays,time_from,time_to,date_from,date_to,transform_json,reminders_json,is_enabled,created_at,updated_at)
+  VALUES(?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)
 `
-).run(
-    id,
-    tokenKey,
-    sourceCalId,
-    targetCalId,
-    "keywords",
-    filterStr,
-    Date.now(),
-    Date.now()
-);
-
-db.prepare(
-    `
+            ).run(
+                id,
+                tokenKey,
+                sourceCalId,
+                targetCalId,
+                filter.type,
+                filter.raw,
+                label,
+                weekdays,
+                time.from,
+                time.to,
+                dates.from,
+                dates.to,
+                transform,
+                reminders,
+                enabled ? 1 : 0,
+                now,
+                now
+            );
+
+            db.prepare(
+                `
   INSERT INTO subscription_state(subscription_id,sync_token,last_run_at,last_status)
   VALUES(?,?,?,?)
   ON CONFLICT(subscription_id) DO UPDATE SET sync_token=excluded.sync_token
 `
-).run(id, null, null, null);
+            ).run(id, null, null, null);
+        })();
+    } catch (e) {
+        // added by someone else while the pre-flight ran
+        const existing = e?.code === "SQLITE_CONSTRAINT_UNIQUE" &&
+            db.prepare(DUPLICATE).get(tokenKey, sourceCalId, targetCalId);
+        if (existing) refuseDuplicate(existing);
+        throw e;
+    }
+
+    console.log(`✅ Subscription added: ${id}${label ? ` (${label})` : ""}`);
+    if (!enabled) {
+        console.log(`⏸️  Created disabled — enable with: npm run update -- ${id} --enable`);
+    }
+}
 
-console.log("✅ Subscription added:", id);
+main().catch((e) => {
+    console.error(e?.message || e);
+    process.exit(EXIT.FAILURE);
+});
@@ -0,0 +1,108 @@
+// scripts/adopt-mirrors.js
+// One-time migration for mirrors created before ownership tagging: stamps our
+// extendedProperties.private tags on every target event referenced by event_mappings,
+// so prune/dedupe (which only touch tagged events) can manage them again.
+import "dotenv/config";
+import Database from "better-sqlite3";
+import { google } from "googleapis";
+import { oauthForTokenKey } from "./worker.js";
+import { ownerOf, ownershipProps } from "./ownership.js";
+import { withRetries } from "./googleRetry.js";
+import { EXIT } from "./cli.js";
+
+const db = new Database(process.env.DB_PATH || "./sync.db");
+
+async function adoptSubscription(sub, { dryRun }) {
+    const oauth2 = await oauthForTokenKey(sub.token_key);
+    const calendar = withRetries(google.calendar({ version: "v3", auth: oauth2 }));
+
+    // target_id -> source_id
+    const mapped = new Map(
+        db
+            .prepare(
+                `SELECT source_id, target_id FROM event_mappings WHERE subscription_id=?`
+            )
+            .all(sub.id)
+            .map((r) => [r.target_id, r.source_id])
+    );
+
+    let adopted = 0,
+        tagged = 0,
+        foreign = 0;
+    let pageToken;
+
+    do {
+        const { data } = await calendar.events.list({
+            calendarId: sub.target_calendar_id,
+            showDeleted: false,
+            singleEvents: false,
+            maxResults: 2500,
+            pageToken,
+        });
+
+        for (const ev of data.items || []) {
+            if (ownerOf(ev)) {
+                tagged++;
+                continue;
+            }
+            const sourceId = mapped.get(ev.id);
+            if (!sourceId) {
+                foreign++; // not ours as far as the DB knows — never touched
+                continue;
+            }
+            if (!dryRun) {
+                await calendar.events.patch({
+                    calendarId: sub.target_calendar_id,
+                    eventId: ev.id,
+                    requestBody: {
+                        extendedProperties: {
+                            ...(ev.extendedProperties || {}),
+                            private: {
+                                ...(ev.extendedProperties?.private || {}),
+                                ...ownershipProps(sub.id, sourceId),
+                            },
+                        },
+                    },
+                });
+            }
+            adopted++;
+        }
+
+        pageToken = data.nextPageToken || undefined;
+    } while (pageToken);
+
+    return { adopted, tagged, foreign };
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const dryRun = args.includes("--dry-run");
+    const subId = args.find((a) => !a.startsWith("--"));
+
+    const subs = subId
+        ? db.prepare(`SELECT * FROM subscriptions WHERE id=?`).all(subId)
+        : db.prepare(`SELECT * FROM subscriptions`).all();
+    if (subs.length === 0) {
+        console.error(
+            subId ? `Subscription not found: ${subId}` : "No subscriptions found."
+        );
+        process.exit(subId ? EXIT.NOT_FOUND : EXIT.FAILURE);
+    }
+
+    for (const sub of subs) {
+        const r = await adoptSubscription(sub, { dryRun });
+        console.log(
+            `${sub.id} | ${sub.target_calendar_id} | ${
+                dryRun ? "would adopt" : "adopted"
+            } ${r.adopted} | already tagged ${r.tagged} | untagged & unmapped (left alone) ${
+                r.foreign
+            }`
+        );
+    }
+    if (dryRun) console.log("\n(dry run — nothing was changed)");
+}
+
+main().catch((e) => {
+    console.error(e);
+    process.exit(EXIT.FAILURE);
+});
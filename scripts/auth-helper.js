@@ -1,7 +1,12 @@
 // auth-helper-store.js (no userinfo call)
 import "dotenv/config";
+import fs from "node:fs";
+import http from "node:http";
+import crypto from "node:crypto";
 import { google } from "googleapis";
-import { createTokenStore } from "./tokenStore.js";
+import { openTokenStore } from "./tokenStore.js";
+import { authClientFor, authFailureReason } from "./profiles.js";
+import { EXIT } from "./cli.js";
 
 const {
     GOOGLE_CLIENT_ID,
@@ -12,10 +17,10 @@ const {
 
 if (!TOKENSTORE_SECRET || TOKENSTORE_SECRET.length < 16) {
     console.error("ERROR: TOKENSTORE_SECRET missing or too short.");
-    process.exit(1);
+    process.exit(EXIT.FAILURE);
 }
 
-const store = createTokenStore(process.env.TOKENSTORE_DIR || "./secure_tokens");
+const store = openTokenStore();
 
 const oauth2 = new google.auth.OAuth2(
     GOOGLE_CLIENT_ID,
@@ -26,54 +31,240 @@ const oauth2 = new google.auth.OAuth2(
 // calendar-only scope works fine now
 const scopes = ["https://www.googleapis.com/auth/calendar"];
 
-const url = oauth2.generateAuthUrl({
-    access_type: "offline",
-    prompt: "consent",
-    scope: scopes,
-});
+async function saveTokens(idKey, tokens) {
+    if (!tokens.refresh_token) {
+        console.warn(
+            "No refresh_token returned. Revoke prior consent at https://myaccount.google.com/permissions and try again."
+        );
+    }
 
-console.log("Open this URL and authorize:\n\n" + url + "\n");
-console.log(
-    "Then paste the ?code=... like:\n  node auth-helper-store.js <CODE> [ID_KEY]\n"
-);
+    const payload = {
+        provider: "google",
+        scopes,
+        tokens: {
+            refresh_token: tokens.refresh_token,
+            expiry_date: tokens.expiry_date,
+            token_type: tokens.token_type,
+        },
+        issued_at: Date.now(),
+    };
 
-if (process.argv[2]) {
-    const code = process.argv[2];
-    const idKey = process.argv[3] || "google_default";
+    await store.save(idKey, payload);
 
-    console.log("code:", code);
-    console.log("idKey:", idKey);
+    console.log("\n✅ Stored credentials under key:", idKey);
+    console.log(`   Location: ${store.backend.location} (${store.backend.name} store)`);
+}
+
+/* -------------------- --listen: local callback server -------------------- */
+
+const LISTEN_TIMEOUT_SEC = Number(process.env.AUTH_LISTEN_TIMEOUT_SEC || 300);
+
+const escapeHtml = (s) =>
+    String(s).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+/** Minimal HTML page; `text` is markup, so escape anything user-supplied in it. */
+function page(title, text) {
+    return `<!doctype html><meta charset="utf-8"><title>${title}</title><p>${text}</p>`;
+}
 
-    (async () => {
-        const { tokens } = await oauth2.getToken(code);
-        oauth2.setCredentials(tokens);
-
-        if (!tokens.refresh_token) {
-            console.warn(
-                "No refresh_token returned. Revoke prior consent at https://myaccount.google.com/permissions and try again."
-            );
-        }
-
-        const payload = {
-            provider: "google",
-            scopes,
-            tokens: {
-                refresh_token: tokens.refresh_token,
-                expiry_date: tokens.expiry_date,
-                token_type: tokens.token_type,
-            },
-            issued_at: Date.now(),
+/**
+ * Serve GOOGLE_REDIRECT_URI on localhost until Google redirects back, then exchange
+ * the code and save it under `idKey`. `state` ties the callback to this login (and so
+ * to `idKey`); PKCE ties the code to this process.
+ */
+async function listen(idKey) {
+    const redirect = URL.canParse(GOOGLE_REDIRECT_URI || "") && new URL(GOOGLE_REDIRECT_URI);
+    if (
+        !redirect ||
+        redirect.protocol !== "http:" ||
+        !["localhost", "127.0.0.1", "[::1]"].includes(redirect.hostname)
+    ) {
+        throw new Error(
+            `--listen needs GOOGLE_REDIRECT_URI on http://localhost (got ${GOOGLE_REDIRECT_URI})`
+        );
+    }
+
+    const state = crypto.randomBytes(32).toString("base64url");
+    const { codeVerifier, codeChallenge } = await oauth2.generateCodeVerifierAsync();
+    const url = oauth2.generateAuthUrl({
+        access_type: "offline",
+        prompt: "consent",
+        scope: scopes,
+        state,
+        code_challenge_method: "S256",
+        code_challenge: codeChallenge,
+    });
+
+    let handled = false;
+    await new Promise((resolve, reject) => {
+        const finish = (err) => {
+            clearTimeout(timer);
+            server.close();
+            if (err) reject(err);
+            else resolve();
         };
 
-        await store.save(idKey, payload);
+        const server = http.createServer(async (req, res) => {
+            const u = new URL(req.url, redirect.origin);
+            if (u.pathname !== redirect.pathname) {
+                res.writeHead(404).end();
+                return;
+            }
+            const send = (status, title, text) =>
+                res
+                    .writeHead(status, {
+                        "Content-Type": "text/html; charset=utf-8",
+                        Connection: "close",
+                    })
+                    .end(page(title, text));
+
+            const got = Buffer.from(u.searchParams.get("state") || "");
+            const want = Buffer.from(state);
+            if (got.length !== want.length || !crypto.timingSafeEqual(got, want)) {
+                // not our login (stale tab, or someone else's request): keep waiting
+                send(400, "Login failed", "Unknown login request. Start again from the terminal.");
+                return;
+            }
+            if (handled) {
+                send(409, "Already handled", "This login was already completed. You can close this tab.");
+                return;
+            }
+            handled = true;
+            if (u.searchParams.get("error")) {
+                send(400, "Login cancelled", "Access was not granted. You can close this tab.");
+                finish(new Error(`Authorization failed: ${u.searchParams.get("error")}`));
+                return;
+            }
+
+            try {
+                const { tokens } = await oauth2.getToken({
+                    code: u.searchParams.get("code"),
+                    codeVerifier,
+                });
+                await saveTokens(idKey, tokens);
+                send(200, "Connected", `Profile <b>${escapeHtml(idKey)}</b> is connected. You can close this tab.`);
+                finish();
+            } catch (e) {
+                send(500, "Login failed", "Could not exchange the code. See the terminal.");
+                finish(e);
+            }
+        });
+
+        const timer = setTimeout(
+            () => finish(new Error(`No callback within ${LISTEN_TIMEOUT_SEC}s — aborted.`)),
+            LISTEN_TIMEOUT_SEC * 1000
+        );
+
+        server.on("error", finish);
+        server.listen(Number(redirect.port || 80), redirect.hostname.replace(/^\[|\]$/g, ""), () => {
+            console.log(`Waiting for the redirect on ${redirect.origin}${redirect.pathname} ...`);
+            console.log("\nOpen this URL and authorize:\n\n" + url + "\n");
+        });
+    });
+}
+
+/* -------------------- --service-account: Workspace delegation -------------------- */
+
+/**
+ * Store a profile that is a service account acting as `subject` (the service account's
+ * client id needs domain-wide delegation for the calendar scope). One access token is
+ * fetched first, so a bad key or missing delegation shows up here, not in the worker.
+ */
+async function saveServiceAccount(keyFile, subject, idKey) {
+    let key;
+    try {
+        key = JSON.parse(fs.readFileSync(keyFile, "utf8"));
+    } catch (e) {
+        throw new Error(`Cannot read ${keyFile}: ${e.message}`);
+    }
+    if (key.type !== "service_account" || !key.client_email || !key.private_key) {
+        throw new Error(`${keyFile} is not a service account key file`);
+    }
+    if (!subject?.includes("@")) {
+        throw new Error("Give the Workspace user to act as, e.g. staff@example.edu");
+    }
+
+    const payload = {
+        provider: "google",
+        type: "service_account",
+        scopes,
+        service_account: {
+            client_email: key.client_email,
+            client_id: key.client_id,
+            private_key_id: key.private_key_id,
+            private_key: key.private_key,
+        },
+        subject,
+        issued_at: Date.now(),
+    };
+    try {
+        await authClientFor(idKey, payload).authorize();
+    } catch (e) {
+        throw new Error(
+            `Cannot act as ${subject}: ${e?.message || e}` +
+                (authFailureReason(e)
+                    ? `\n   Check domain-wide delegation for client id ${key.client_id} ` +
+                      `with scope ${scopes.join(",")}`
+                    : "")
+        );
+    }
+
+    await store.save(idKey, payload);
+
+    console.log(`\n✅ Stored service account ${key.client_email} acting as ${subject} under key:`, idKey);
+    console.log(`   Location: ${store.backend.location} (${store.backend.name} store)`);
+}
+
+/* -------------------- main -------------------- */
 
-        console.log("\n✅ Stored credentials under key:", idKey);
-        console.log(
-            "   Location:",
-            process.env.TOKENSTORE_DIR || "./secure_tokens"
+if (process.argv[2] === "--service-account") {
+    const [keyFile, subject, idKey = "google_default"] = process.argv.slice(3);
+    if (!keyFile || !subject) {
+        console.error(
+            "Usage: node scripts/auth-helper.js --service-account <KEY_FILE.json> <USER_EMAIL> [ID_KEY]"
         );
-    })().catch((e) => {
-        console.error("Failed to store tokens:", e?.message || e);
-        process.exit(1);
+        process.exit(EXIT.USAGE);
+    }
+    console.log("idKey:", idKey);
+    saveServiceAccount(keyFile, subject, idKey).catch((e) => {
+        console.error("Failed to store service account:", e?.message || e);
+        process.exit(EXIT.FAILURE);
+    });
+} else if (process.argv[2] === "--listen") {
+    const idKey = process.argv[3] || "google_default";
+    console.log("idKey:", idKey);
+    listen(idKey).catch((e) => {
+        console.error("Login failed:", e?.message || e);
+        process.exit(EXIT.FAILURE);
+    });
+} else {
+    const url = oauth2.generateAuthUrl({
+        access_type: "offline",
+        prompt: "consent",
+        scope: scopes,
     });
+
+    console.log("Open this URL and authorize:\n\n" + url + "\n");
+    console.log(
+        "Then paste the ?code=... like:\n  node auth-helper-store.js <CODE> [ID_KEY]\n" +
+            "Or let this script catch the redirect itself:\n  node scripts/auth-helper.js --listen [ID_KEY]\n" +
+            "Workspace service account instead of a personal login:\n" +
+            "  node scripts/auth-helper.js --service-account <KEY_FILE.json> <USER_EMAIL> [ID_KEY]\n"
+    );
+
+    if (process.argv[2]) {
+        const code = process.argv[2];
+        const idKey = process.argv[3] || "google_default";
+
+        console.log("code:", code);
+        console.log("idKey:", idKey);
+
+        (async () => {
+            const { tokens } = await oauth2.getToken(code);
+            await saveTokens(idKey, tokens);
+        })().catch((e) => {
+            console.error("Failed to store tokens:", e?.message || e);
+            process.exit(EXIT.FAILURE);
+        });
+    }
 }
@@ -0,0 +1,170 @@
+// scripts/batch.js
+// Google Calendar batch requests: target mutations are queued and sent as one
+// multipart/mixed HTTP request per (up to) 50 calls. `createBatcher(...).events`
+// mirrors calendar.events.insert/update/patch/delete, and every call resolves or
+// rejects on its own with errors shaped like googleapis errors (e.code = HTTP status),
+// so callers handle partial failures exactly as with single calls.
+//
+// Parts failing with a retryable error (rate limit, 5xx) are re-sent as single calls
+// through the client passed in, which retries with backoff (googleRetry.js).
+import crypto from "node:crypto";
+import { withRetry, classifyError } from "./googleRetry.js";
+
+const BATCH_URL = "https://www.googleapis.com/batch/calendar/v3";
+export const MAX_BATCH_SIZE = 50;
+
+const VERBS = { insert: "POST", update: "PUT", patch: "PATCH", delete: "DELETE" };
+
+function pathOf(method, { calendarId, eventId }) {
+    const base = `/calendar/v3/calendars/${encodeURIComponent(calendarId)}/events`;
+    return method === "insert" ? base : `${base}/${encodeURIComponent(eventId)}`;
+}
+
+function buildBody(ops, boundary) {
+    const parts = ops.map((op, i) => {
+        const lines = [
+            `--${boundary}`,
+            "Content-Type: application/http",
+            `Content-ID: <item-${i}>`,
+            "",
+            `${VERBS[op.method]} ${pathOf(op.method, op.params)} HTTP/1.1`,
+        ];
+        if (op.params.requestBody !== undefined) {
+            lines.push(
+                "Content-Type: application/json",
+                "",
+                JSON.stringify(op.params.requestBody)
+            );
+        } else {
+            lines.push("");
+        }
+        return lines.join("\r\n");
+    });
+    return `${parts.join("\r\n")}\r\n--${boundary}--\r\n`;
+}
+
+/** Split a multipart/mixed batch response into index -> { status, headers, data }. */
+function parseResponse(text, boundary) {
+    const out = new Map();
+    for (const chunk of text.split(`--${boundary}`)) {
+        const id = chunk.match(/Content-ID:\s*<response-item-(\d+)>/i);
+        const status = chunk.match(/HTTP\/1\.1 (\d{3})/);
+        if (!id || !status) continue;
+
+        // inner response: status line, headers, blank line, body
+        const inner = chunk.slice(status.index);
+        const sep = inner.search(/\r?\n\r?\n/);
+        const head = sep === -1 ? inner : inner.slice(0, sep);
+        const raw = sep === -1 ? "" : inner.slice(sep).trim();
+        const headers = {};
+        for (const line of head.split(/\r?\n/).slice(1)) {
+            const i = line.indexOf(":");
+            if (i > 0) headers[line.slice(0, i).trim().toLowerCase()] = line.slice(i + 1).trim();
+        }
+        let data = raw;
+        try {
+            data = raw ? JSON.parse(raw) : "";
+        } catch {
+            // keep raw text
+        }
+        out.set(Number(id[1]), { status: Number(status[1]), headers, data });
+    }
+    return out;
+}
+
+function partError({ status, headers, data }) {
+    const err = new Error(data?.error?.message || `batch part failed with HTTP ${status}`);
+    err.code = status;
+    err.status = status;
+    err.errors = data?.error?.errors;
+    err.response = { status, headers, data };
+    return err;
+}
+
+function headerOf(headers, name) {
+    return headers?.get?.(name) ?? headers?.[name];
+}
+
+/**
+ * `calendar` is the (retrying) client used for single-call fallbacks, `auth` the
+ * OAuth2 client signing batch requests; `stats`/`log`/`limit` as in withRetry.
+ */
+export function createBatcher(calendar, auth, { stats, log, limit, size = MAX_BATCH_SIZE } = {}) {
+    const queue = [];
+    let scheduled = false;
+
+    async function sendBatch(ops) {
+        const boundary = `batch_${crypto.randomUUID()}`;
+        let res;
+        try {
+            res = await withRetry(
+                () =>
+                    auth.request({
+                        url: BATCH_URL,
+                        method: "POST",
+                        headers: { "Content-Type": `multipart/mixed; boundary=${boundary}` },
+                        data: buildBody(ops, boundary),
+                        responseType: "text",
+                    }),
+                { stats, log, limit }
+            );
+        } catch (e) {
+            for (const op of ops) op.reject(e);
+            return;
+        }
+
+        const type = headerOf(res.headers, "content-type") || "";
+        const resBoundary = type.match(/boundary=("?)([^";]+)\1/)?.[2];
+        const parts = resBoundary ? parseResponse(res.data, resBoundary) : new Map();
+        if (stats) stats.batches = (stats.batches || 0) + 1;
+
+        ops.forEach((op, i) => {
+            const part = parts.get(i);
+            if (!part) {
+                // missing from the response: let the single-call path decide
+                single(op);
+                return;
+            }
+            if (part.status < 300) {
+                op.resolve({ status: part.status, data: part.data });
+                return;
+            }
+            const err = partError(part);
+            if (classifyError(err) === "fatal") op.reject(err);
+            else single(op);
+        });
+    }
+
+    function single(op) {
+        calendar.events[op.method](op.params).then(op.resolve, op.reject);
+    }
+
+    function flush() {
+        scheduled = false;
+        while (queue.length) {
+            const ops = queue.splice(0, size);
+            log?.debug({ calls: ops.length }, "batch send");
+            sendBatch(ops);
+        }
+    }
+
+    function enqueue(method, params) {
+        return new Promise((resolve, reject) => {
+            queue.push({ method, params, resolve, reject });
+            if (queue.length >= size) {
+                flush();
+            } else if (!scheduled) {
+                // everything queued in this turn of the event loop goes out together
+                scheduled = true;
+                setImmediate(flush);
+            }
+        });
+    }
+
+    return {
+        events: Object.fromEntries(
+            Object.keys(VERBS).map((m) => [m, (params) => enqueue(m, params)])
+        ),
+        flush,
+    };
+}
@@ -0,0 +1,43 @@
+// scripts/cli.js
+// Shared bits of the command-line scripts (and the `gcfs` entry point): exit codes,
+// JSON output and the one-line subscription summary.
+
+/** Exit codes every command uses. */
+export const EXIT = {
+    OK: 0,
+    FAILURE: 1, // runtime error (Google API, database, ...)
+    USAGE: 2, // bad arguments or options
+    NOT_FOUND: 3, // unknown subscription, run or profile
+};
+
+/** Print usage (with an optional message first) and exit with EXIT.USAGE. */
+export function usageError(usage, msg) {
+    console.error(msg ? `${msg}\n\n${usage}` : usage);
+    process.exit(EXIT.USAGE);
+}
+
+/** `--json` output: one pretty-printed document on stdout. */
+export function printJson(value) {
+    console.log(JSON.stringify(value, null, 2));
+}
+
+/** "id (label) | ENABLED | profile | source -> target | filter type | filters" */
+export function subscriptionLine(s) {
+    return `${s.id}${s.label ? ` (${s.label})` : ""} | ${s.is_enabled ? "ENABLED" : "disabled"} | ${s.token_key} | ${
+        s.source_calendar_id
+    } -> ${s.target_calendar_id} | ${s.filter_type} | ${s.filters_raw}`;
+}
+
+/** A subscriptions row as stable `--json` keys. */
+export function subscriptionJson(s) {
+    return {
+        id: s.id,
+        label: s.label ?? null,
+        enabled: !!s.is_enabled,
+        profile: s.token_key,
+        source: s.source_calendar_id,
+        target: s.target_calendar_id,
+        filterType: s.filter_type,
+        filters: s.filters_raw,
+    };
+}
@@ -3,13 +3,14 @@ import "dotenv/config";
 import Database from "better-sqlite3";
 import readline from "readline/promises";
 import { stdin as input, stdout as output } from "node:process";
+import { EXIT, subscriptionLine } from "./cli.js";
 
 const db = new Database(process.env.DB_PATH || "./sync.db");
 
 function listSubs() {
     return db
         .prepare(
-            `SELECT id, is_enabled, token_key, source_calendar_id, target_calendar_id, filter_type, filters_raw
+            `SELECT id, is_enabled, token_key, source_calendar_id, target_calendar_id, filter_type, filters_raw, label
        FROM subscriptions
        ORDER BY updated_at DESC`
         )
@@ -33,7 +34,7 @@ async function main() {
         const ok = deleteSub(subIdFromArg);
         if (!ok) {
             console.error("No subscription found with id:", subIdFromArg);
-            process.exit(1);
+            process.exit(EXIT.NOT_FOUND);
         }
         console.log("✅ Deleted subscription:", subIdFromArg);
         return;
@@ -47,15 +48,7 @@ async function main() {
     }
 
     console.log("Available subscriptions:");
-    subs.forEach((s, i) => {
-        console.log(
-            `${i + 1}. ${s.id} | ${s.is_enabled ? "ENABLED" : "disabled"} | ${
-                s.token_key
-            } | ${s.source_calendar_id} -> ${s.target_calendar_id} | ${
-                s.filter_type
-            } | ${s.filters_raw}`
-        );
-    });
+    subs.forEach((s, i) => console.log(`${i + 1}. ${subscriptionLine(s)}`));
 
     const rl = readline.createInterface({ input, output });
     try {
@@ -63,7 +56,7 @@ async function main() {
         const idx = Number(idxStr);
         if (!idx || idx < 1 || idx > subs.length) {
             console.error("Invalid selection.");
-            process.exit(1);
+            process.exit(EXIT.USAGE);
         }
         const chosen = subs[idx - 1];
 
@@ -80,7 +73,7 @@ async function main() {
             console.log("✅ Deleted subscription:", chosen.id);
         } else {
             console.error("Delete failed (not found?).");
-            process.exit(1);
+            process.exit(EXIT.NOT_FOUND);
         }
     } finally {
         rl.close();
@@ -89,5 +82,5 @@ async function main() {
 
 main().catch((e) => {
     console.error(e);
-    process.exit(1);
+    process.exit(EXIT.FAILURE);
 });
@@ -0,0 +1,237 @@
+// Boolean filter expressions for subscriptions with filter_type = 'expr'.
+//
+//   summary:"Convex optimization" AND NOT location:"Online" OR summary:/TD\s+\d+/
+//
+// Grammar (NOT binds tightest, then AND, then OR; adjacent terms are ANDed):
+//   expr    := and ( OR and )*
+//   and     := unary ( [AND] unary )*
+//   unary   := NOT unary | "(" expr ")" | term
+//   term    := [field ":"] ( "quoted phrase" | /regex/flags | word )
+//
+// Fields: summary, description, location, organizer, creator. Unscoped terms
+// look at summary + description + location, like keyword filters do.
+// Text terms are case/accent-insensitive substring matches; regexes are
+// case-insensitive unless they carry their own flags.
+
+const FIELDS = ["summary", "description", "location", "organizer", "creator"];
+const DEFAULT_FIELDS = ["summary", "description", "location"];
+const KEYWORDS = new Set(["AND", "OR", "NOT"]);
+
+/** accent/space-insensitive normalizer (same rules as keyword filters) */
+function normalize(s) {
+    return (s || "")
+        .toLowerCase()
+        .normalize("NFD")
+        .replace(/\p{Diacritic}/gu, "")
+        .replace(/\s+/g, " ")
+        .trim();
+}
+
+function fail(pos, msg) {
+    throw new Error(`Filter syntax error at position ${pos + 1}: ${msg}`);
+}
+
+/* -------------------- tokenizer -------------------- */
+
+function tokenize(src) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < src.length) {
+        const c = src[i];
+
+        if (/\s/.test(c)) {
+            i++;
+            continue;
+        }
+        if (c === "(" || c === ")") {
+            tokens.push({ type: c, pos: i });
+            i++;
+            continue;
+        }
+        if (c === '"') {
+            const start = i++;
+            let value = "";
+            while (i < src.length && src[i] !== '"') {
+                if (src[i] === "\\" && i + 1 < src.length) i++;
+                value += src[i++];
+            }
+            if (i >= src.length) fail(start, "unterminated quoted phrase");
+            i++; // closing quote
+            tokens.push({ type: "text", value, pos: start });
+            continue;
+        }
+        if (c === "/") {
+            const start = i++;
+            let body = "";
+            while (i < src.length && src[i] !== "/") {
+                if (src[i] === "\\" && i + 1 < src.length) body += src[i++];
+                body += src[i++];
+            }
+            if (i >= src.length) fail(start, "unterminated regex");
+            i++; // closing slash
+            let flags = "";
+            while (i < src.length && /[a-z]/.test(src[i])) flags += src[i++];
+            let re;
+            try {
+                re = new RegExp(body, flags || "i");
+            } catch (e) {
+                fail(start, `invalid regex: ${e.message}`);
+            }
+            tokens.push({ type: "regex", re, pos: start });
+            continue;
+        }
+
+        // field prefix, keyword or bare word
+        const start = i;
+        const field = /^([a-zA-Z]+):/.exec(src.slice(i));
+        if (field && FIELDS.includes(field[1].toLowerCase())) {
+            tokens.push({
+                type: "field",
+                value: field[1].toLowerCase(),
+                pos: start,
+            });
+            i += field[0].length;
+            continue;
+        }
+        let word = "";
+        while (i < src.length && !/[\s()"]/.test(src[i])) word += src[i++];
+        if (KEYWORDS.has(word)) {
+            tokens.push({ type: word, pos: start });
+        } else {
+            tokens.push({ type: "text", value: word, pos: start });
+        }
+    }
+
+    return tokens;
+}
+
+/* -------------------- parser -------------------- */
+
+function parse(src) {
+    const tokens = tokenize(src);
+    let k = 0;
+    const peek = () => tokens[k];
+    const end = () => (tokens.length ? src.length : 0);
+
+    function parseOr() {
+        const items = [parseAnd()];
+        while (peek()?.type === "OR") {
+            k++;
+            items.push(parseAnd());
+        }
+        return items.length === 1 ? items[0] : { type: "or", items };
+    }
+
+    function parseAnd() {
+        const items = [parseUnary()];
+        for (;;) {
+            const t = peek();
+            if (t?.type === "AND") {
+                k++;
+                items.push(parseUnary());
+            } else if (t && t.type !== "OR" && t.type !== ")") {
+                items.push(parseUnary()); // implicit AND
+            } else break;
+        }
+        return items.length === 1 ? items[0] : { type: "and", items };
+    }
+
+    function parseUnary() {
+        const t = peek();
+        if (!t) fail(end(), "unexpected end of expression");
+        if (t.type === "NOT") {
+            k++;
+            return { type: "not", item: parseUnary() };
+        }
+        if (t.type === "(") {
+            k++;
+            const inner = parseOr();
+            if (peek()?.type !== ")") {
+                fail(peek()?.pos ?? end(), 'expected ")"');
+            }
+            k++;
+            return inner;
+        }
+        return parseTerm();
+    }
+
+    function parseTerm() {
+        let fields = DEFAULT_FIELDS;
+        let t = peek();
+        if (t.type === "field") {
+            fields = [t.value];
+            k++;
+            t = peek();
+            if (!t || (t.type !== "text" && t.type !== "regex")) {
+                fail(t?.pos ?? end(), `expected a value after "${fields[0]}:"`);
+            }
+        }
+        if (t.type === "text") {
+            k++;
+            const value = normalize(t.value);
+            if (!value) fail(t.pos, "empty phrase");
+            return { type: "text", fields, value };
+        }
+        if (t.type === "regex") {
+            k++;
+            return { type: "regex", fields, re: t.re };
+        }
+        fail(t.pos, `unexpected "${t.type}"`);
+    }
+
+    if (tokens.length === 0) fail(0, "empty expression");
+    const ast = parseOr();
+    if (k < tokens.length) fail(tokens[k].pos, `unexpected "${tokens[k].type}"`);
+    return ast;
+}
+
+/* -------------------- evaluation -------------------- */
+
+function fieldText(ev, field) {
+    switch (field) {
+        case "organizer":
+        case "creator": {
+            const p = ev[field] || {};
+            return `${p.displayName || ""} ${p.email || ""}`;
+        }
+        default:
+            return ev[field] || "";
+    }
+}
+
+function compileNode(node) {
+    switch (node.type) {
+        case "or": {
+            const items = node.items.map(compileNode);
+            return (ev) => items.some((f) => f(ev));
+        }
+        case "and": {
+            const items = node.items.map(compileNode);
+            return (ev) => items.every((f) => f(ev));
+        }
+        case "not": {
+            const item = compileNode(node.item);
+            return (ev) => !item(ev);
+        }
+        case "text":
+            return (ev) =>
+                node.fields.some((f) =>
+                    normalize(fieldText(ev, f)).includes(node.value)
+                );
+        case "regex":
+            return (ev) =>
+                node.fields.some((f) => {
+                    node.re.lastIndex = 0; // tolerate /g and /y flags
+                    return node.re.test(fieldText(ev, f));
+                });
+    }
+}
+
+/**
+ * Compile a filter expression into a predicate over Google event resources.
+ * Throws an Error describing the position of the first syntax error.
+ */
+export function compileFilter(expr) {
+    return compileNode(parse(String(expr ?? "")));
+}
@@ -4,24 +4,27 @@ import Database from "better-sqlite3";
 import readline from "readline/promises";
 import { stdin as input, stdout as output } from "node:process";
 import { google } from "googleapis";
-import { createTokenStore } from "./tokenStore.js";
+import { openTokenStore } from "./tokenStore.js";
+import { withRetries } from "./googleRetry.js";
+import { authClientFor } from "./profiles.js";
+import { ownerOf } from "./ownership.js";
+import { EXIT, subscriptionLine } from "./cli.js";
 
 const db = new Database(process.env.DB_PATH || "./sync.db");
-const store = createTokenStore(process.env.TOKENSTORE_DIR || "./secure_tokens");
+const store = openTokenStore({ db });
 
 function listSubs() {
     return db
         .prepare(
             `
-    SELECT id, token_key, source_calendar_id, target_calendar_id, is_enabled, filter_type, filters_raw
+    SELECT id, token_key, source_calendar_id, target_calendar_id, is_enabled, filter_type, filters_raw, label
     FROM subscriptions ORDER BY updated_at DESC
   `
         )
         .all();
 }
 
-function softReset(subId) {
-    db.prepare(`DELETE FROM event_mappings WHERE subscription_id=?`).run(subId);
+function clearSyncToken(subId) {
     db.prepare(
         `
     INSERT INTO subscription_state(subscription_id,sync_token,last_run_at,last_status)
@@ -32,40 +35,53 @@ function softReset(subId) {
     ).run(subId, null, null, null);
 }
 
+// OAuth2 (refresh token) or JWT (service account) client
 async function oauthForTokenKey(tokenKey) {
-    const payload = await store.load(tokenKey);
-    if (!payload?.tokens?.refresh_token)
-        throw new Error(`No refresh token for tokenKey=${tokenKey}`);
-    const oauth2 = new google.auth.OAuth2(
-        process.env.GOOGLE_CLIENT_ID,
-        process.env.GOOGLE_CLIENT_SECRET,
-        process.env.GOOGLE_REDIRECT_URI
-    );
-    oauth2.setCredentials({ refresh_token: payload.tokens.refresh_token });
-    return oauth2;
+    return authClientFor(tokenKey, await store.load(tokenKey));
 }
 
-// Only used in --hard mode
-async function hardDeleteAllMirrored(sub) {
+// Drops the subscription's mappings so the next run mirrors everything again; with
+// `hard` the mapped events tagged as its mirrors are deleted too. Untagged events
+// (legacy mirrors) keep their mappings: without one `npm run adopt` could not tag
+// them and the next run would mirror their sources a second time.
+async function dropMappings(sub, { hard = false } = {}) {
     const oauth2 = await oauthForTokenKey(sub.token_key);
-    const calendar = google.calendar({ version: "v3", auth: oauth2 });
+    const calendar = withRetries(google.calendar({ version: "v3", auth: oauth2 }));
     const maps = db
-        .prepare(`SELECT target_id FROM event_mappings WHERE subscription_id=?`)
+        .prepare(`SELECT source_id, target_id FROM event_mappings WHERE subscription_id=?`)
         .all(sub.id);
+    const dropMapping = db.prepare(
+        `DELETE FROM event_mappings WHERE subscription_id=? AND source_id=?`
+    );
     let deleted = 0;
+    let dropped = 0;
+    let untagged = 0;
     for (const m of maps) {
         try {
-            await calendar.events.delete({
+            const { data: ev } = await calendar.events.get({
                 calendarId: sub.target_calendar_id,
                 eventId: m.target_id,
             });
-            deleted++;
+            const owner = ownerOf(ev);
+            if (!owner) {
+                untagged++;
+                continue;
+            }
+            if (hard && owner.subscriptionId === sub.id) {
+                await calendar.events.delete({
+                    calendarId: sub.target_calendar_id,
+                    eventId: m.target_id,
+                });
+                deleted++;
+            }
         } catch (e) {
             // tolerate already-gone
             if (e?.code !== 404 && e?.code !== 410) throw e;
         }
+        dropMapping.run(sub.id, m.source_id);
+        dropped++;
     }
-    return deleted;
+    return { deleted, dropped, untagged };
 }
 
 async function pickSubInteractive() {
@@ -75,15 +91,7 @@ async function pickSubInteractive() {
         process.exit(0);
     }
     console.log("Subscriptions:");
-    subs.forEach((s, i) => {
-        console.log(
-            `${i + 1}. ${s.id} | ${s.is_enabled ? "ENABLED" : "disabled"} | ${
-                s.token_key
-            } | ${s.source_calendar_id} -> ${s.target_calendar_id} | ${
-                s.filter_type
-            } | ${s.filters_raw}`
-        );
-    });
+    subs.forEach((s, i) => console.log(`${i + 1}. ${subscriptionLine(s)}`));
     const rl = readline.createInterface({ input, output });
     try {
         const idxStr = await rl.question(
@@ -92,7 +100,7 @@ async function pickSubInteractive() {
         const idx = Number(idxStr);
         if (!idx || idx < 1 || idx > subs.length) {
             console.error("Invalid selection.");
-            process.exit(1);
+            process.exit(EXIT.USAGE);
         }
         return subs[idx - 1];
     } finally {
@@ -119,7 +127,7 @@ async function main() {
             .get(positionals[0]);
         if (!sub) {
             console.error("Subscription not found:", positionals[0]);
-            process.exit(1);
+            process.exit(EXIT.NOT_FOUND);
         }
         targets = [sub];
     } else {
@@ -128,18 +136,22 @@ async function main() {
     }
 
     for (const sub of targets) {
-        if (hard) {
-            process.stdout.write(
-                `Force-resync (HARD) ${sub.id} — deleting mirrored events... `
+        process.stdout.write(
+            hard
+                ? `Force-resync (HARD) ${sub.id} — deleting mirrored events... `
+                : `Force-resync ${sub.id} — checking mapped events... `
+        );
+        const { deleted, dropped, untagged } = await dropMappings(sub, { hard });
+        console.log(hard ? `deleted ${deleted}.` : "done.");
+        if (untagged > 0) {
+            console.log(
+                hard
+                    ? `⚠️  Left ${untagged} untagged event(s) and their mappings — run \`npm run adopt -- ${sub.id}\`, then force-resync --hard again.`
+                    : `ℹ️  Kept the mappings of ${untagged} untagged event(s) — run \`npm run adopt -- ${sub.id}\` to tag them.`
             );
-            const deleted = await hardDeleteAllMirrored(sub);
-            console.log(`deleted ${deleted}.`);
         }
-        // Soft reset always happens (even after hard delete)
-        softReset(sub.id);
-        console.log(
-            `Soft reset done for ${sub.id} (cleared mappings + sync token).`
-        );
+        clearSyncToken(sub.id);
+        console.log(`Reset done for ${sub.id} (cleared ${dropped} mapping(s) + sync token).`);
     }
 
     console.log("\n✅ Force resync prepared. Now run the worker to rebuild:");
@@ -148,5 +160,5 @@ async function main() {
 
 main().catch((e) => {
     console.error(e);
-    process.exit(1);
+    process.exit(EXIT.FAILURE);
 });
@@ -0,0 +1,225 @@
+#!/usr/bin/env node
+// scripts/gcfs.js
+// One entry point for every script: `gcfs <command> [args]`. A command runs its script
+// in this process with the remaining arguments, exactly like `npm run <script> -- args`.
+//   gcfs --help | gcfs <command> --help
+import path from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { EXIT } from "./cli.js";
+
+const SCRIPTS_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * words: the command; script (+ args): what it runs; json: read command with --json.
+ * Groups are listed in this order by `gcfs --help`.
+ */
+const COMMANDS = [
+    {
+        group: "Subscriptions",
+        words: ["sub", "add"],
+        script: "add-subscription.js",
+        usage: "<PROFILE> <SOURCE_CAL_ID> <TARGET_CAL_ID> <filters...> [--regex|--expr] [--label=<name>] [--disabled] [--no-check] [--weekdays=mon,tue] [--time=HH:MM-HH:MM] [--dates=FROM..TO] [--transform=<json|@file>] [--reminders=<spec>]",
+        summary: "Add a subscription",
+    },
+    {
+        group: "Subscriptions",
+        words: ["sub", "list"],
+        script: "list-subscriptions.js",
+        usage: "[--events] [--json]",
+        summary: "List subscriptions (--events: every mirrored event)",
+        json: true,
+    },
+    {
+        group: "Subscriptions",
+        words: ["sub", "update"],
+        script: "update-subscription-courses.js",
+        usage: "[<SUB_ID> [--append|--remove] [--regex|--expr] [--resync] <values...>] [--enable|--disable] [--label=<name>] [--interval=<sec>] [--jitter=<sec>] [--weekdays=..] [--time=..] [--dates=..] [--transform=..] [--reminders=..]",
+        summary: "Change filters or settings (interactive without SUB_ID)",
+    },
+    {
+        group: "Subscriptions",
+        words: ["sub", "delete"],
+        script: "delete-subscription.js",
+        usage: "[<SUB_ID>]",
+        summary: "Delete a subscription (interactive without SUB_ID)",
+    },
+    {
+        group: "Subscriptions",
+        words: ["sub", "resync"],
+        script: "force-resync.js",
+        usage: "[<SUB_ID>|--all] [--hard]",
+        summary: "Clear mappings and sync token (--hard: delete mirrors too)",
+    },
+    {
+        group: "Subscriptions",
+        words: ["sub", "status"],
+        script: "status.js",
+        usage: "[<SUB_ID>] [--runs=N] [--json]",
+        summary: "Recent runs, failure streaks, last success",
+        json: true,
+    },
+    {
+        group: "Subscriptions",
+        words: ["sub", "journal"],
+        script: "journal.js",
+        usage: "[<SUB_ID>] [--text=..] [--event-date=..] [--since=..] [--until=..] [--action=..] [--source=..] [--limit=N] [--json]",
+        summary: "Search the per-event change journal",
+        json: true,
+    },
+    {
+        group: "Subscriptions",
+        words: ["sub", "rollback"],
+        script: "rollback.js",
+        usage: "<SUB_ID> [--run=<RUN_ID>] [--dry-run]",
+        summary: "Undo a sync run and pause the subscription",
+    },
+    {
+        group: "Subscriptions",
+        words: ["sub", "adopt"],
+        script: "adopt-mirrors.js",
+        usage: "[<SUB_ID>] [--dry-run]",
+        summary: "Tag legacy mirrors with ownership properties",
+    },
+    {
+        group: "Subscriptions",
+        words: ["sub", "recover"],
+        script: "recover-mappings.js",
+        usage: "<SUB_ID>|--all [--from-sub=<OLD_SUB_ID>] [--dry-run] [--replace]",
+        summary: "Rebuild mappings from a target calendar",
+    },
+    {
+        group: "Profiles",
+        words: ["profile", "list"],
+        script: "list-profiles.js",
+        usage: "[--json]",
+        summary: "Stored profiles, their subscriptions and re-auth state",
+        json: true,
+    },
+    {
+        group: "Profiles",
+        words: ["profile", "login"],
+        script: "auth-helper.js",
+        args: ["--listen"],
+        usage: "[<PROFILE>]",
+        summary: "Log in through a local callback server and store the tokens",
+    },
+    {
+        group: "Profiles",
+        words: ["profile", "connect"],
+        script: "auth-helper.js",
+        usage: "[<CODE> [<PROFILE>]]",
+        summary: "Print the login URL, or store tokens for a pasted code",
+    },
+    {
+        group: "Profiles",
+        words: ["profile", "add-sa"],
+        script: "auth-helper.js",
+        args: ["--service-account"],
+        usage: "<KEY_FILE.json> <USER_EMAIL> [<PROFILE>]",
+        summary: "Store a service account acting as a Workspace user",
+    },
+    {
+        group: "Profiles",
+        words: ["profile", "rotate-secret"],
+        script: "rotate-secret.js",
+        usage: "[--verify] [--dry-run]",
+        summary: "Re-encrypt stored tokens with a new TOKENSTORE_SECRET",
+    },
+    {
+        group: "Profiles",
+        words: ["profile", "migrate-store"],
+        script: "migrate-tokens.js",
+        usage: "--to=sqlite|file [--overwrite] [--remove-source] [--dry-run]",
+        summary: "Move stored tokens between the file and SQLite stores",
+    },
+    {
+        group: "Sync",
+        words: ["sync"],
+        script: "worker.js",
+        usage: "[--dry-run [--json]] [--daemon] [--no-batch]",
+        summary: "Sync every enabled subscription (--dry-run: print the plan)",
+        json: true,
+    },
+    {
+        group: "Sync",
+        words: ["push"],
+        script: "push-receiver.js",
+        usage: "",
+        summary: "Push-notification receiver (instant sync)",
+    },
+    {
+        group: "Sync",
+        words: ["migrate"],
+        script: "migrate.js",
+        usage: "",
+        summary: "Run database migrations",
+    },
+];
+
+const commandLine = (c) => `gcfs ${c.words.join(" ")}${c.usage ? ` ${c.usage}` : ""}`;
+
+function help(commands = COMMANDS) {
+    const lines = ["Usage: gcfs <command> [args]"];
+    for (const group of new Set(commands.map((c) => c.group))) {
+        lines.push("", `${group}:`);
+        for (const c of commands.filter((c) => c.group === group)) {
+            lines.push(`  ${c.words.join(" ").padEnd(22)} ${c.summary}`);
+        }
+    }
+    lines.push(
+        "",
+        `Read commands take --json: ${COMMANDS.filter((c) => c.json)
+            .map((c) => c.words.join(" "))
+            .join(", ")} (sync with --dry-run).`,
+        "Exit codes: 0 ok, 1 failure, 2 usage error, 3 subscription/run/profile not found.",
+        "`gcfs <command> --help` shows a command's arguments."
+    );
+    return lines.join("\n");
+}
+
+/** Longest command whose words start `argv`, with the arguments after them. */
+function resolve(argv) {
+    let best = null;
+    for (const c of COMMANDS) {
+        if (c.words.every((w, i) => argv[i] === w)) {
+            if (!best || c.words.length > best.words.length) best = c;
+        }
+    }
+    return best && { command: best, rest: argv.slice(best.words.length) };
+}
+
+async function main() {
+    const argv = process.argv.slice(2);
+    if (argv.length === 0 || argv[0] === "--help" || argv[0] === "-h" || argv[0] === "help") {
+        console.log(help());
+        process.exit(argv.length === 0 ? EXIT.USAGE : EXIT.OK);
+    }
+
+    const found = resolve(argv);
+    if (!found) {
+        // `gcfs sub` alone: that group's commands
+        const group = COMMANDS.filter((c) => c.words.length > 1 && c.words[0] === argv[0]);
+        if (group.length && (argv.length === 1 || ["--help", "-h"].includes(argv[1]))) {
+            console.log(help(group));
+            process.exit(argv.length === 1 ? EXIT.USAGE : EXIT.OK);
+        }
+        console.error(`Unknown command: ${argv.join(" ")}\n\n${help()}`);
+        process.exit(EXIT.USAGE);
+    }
+
+    const { command, rest } = found;
+    if (rest.includes("--help") || rest.includes("-h")) {
+        console.log(`Usage: ${commandLine(command)}\n\n${command.summary}.`);
+        process.exit(EXIT.OK);
+    }
+
+    // the script reads process.argv like it was started directly
+    const script = path.join(SCRIPTS_DIR, command.script);
+    process.argv = [process.argv[0], script, ...(command.args || []), ...rest];
+    await import(pathToFileURL(script).href);
+}
+
+main().catch((e) => {
+    console.error(e?.message || e);
+    process.exit(EXIT.FAILURE);
+});
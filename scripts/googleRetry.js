@@ -0,0 +1,164 @@
+// Retry wrapper for Google API calls: rate limits (429, 403 rateLimitExceeded),
+// 5xx and network errors are retried with jittered exponential backoff, honoring
+// Retry-After, until a total time budget is spent. Everything else is thrown as-is,
+// so callers keep checking e.code (404, 410, ...) like before.
+//
+// A retried insert whose first attempt actually landed can leave a duplicate
+// mirror; it carries our ownership tags and is removed by dedupe.
+
+const MAX_TOTAL_MS = Number(process.env.GOOGLE_RETRY_MAX_MS || 120_000);
+const BASE_MS = Number(process.env.GOOGLE_RETRY_BASE_MS || 1000);
+const MAX_DELAY_MS = Number(process.env.GOOGLE_RETRY_MAX_DELAY_MS || 32_000);
+
+const RATE_LIMIT_REASONS = new Set([
+    "rateLimitExceeded",
+    "userRateLimitExceeded",
+]);
+const NETWORK_CODES = new Set([
+    "ECONNRESET",
+    "ECONNREFUSED",
+    "ETIMEDOUT",
+    "EAI_AGAIN",
+    "EPIPE",
+    "ENOTFOUND",
+    "UND_ERR_SOCKET",
+]);
+
+const defaultSleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+function statusOf(e) {
+    const s = e?.response?.status ?? e?.status ?? e?.code;
+    return typeof s === "number" ? s : Number(s) || null;
+}
+
+function reasonOf(e) {
+    return (
+        e?.errors?.[0]?.reason ??
+        e?.response?.data?.error?.errors?.[0]?.reason ??
+        null
+    );
+}
+
+/** "rate_limit" | "transient" | "fatal" */
+export function classifyError(e) {
+    const status = statusOf(e);
+    if (status === 429) return "rate_limit";
+    if (status === 403 && RATE_LIMIT_REASONS.has(reasonOf(e))) {
+        return "rate_limit";
+    }
+    if (status >= 500 && status < 600) return "transient";
+    if (NETWORK_CODES.has(e?.code) || NETWORK_CODES.has(e?.cause?.code)) {
+        return "transient";
+    }
+    return "fatal";
+}
+
+/** Retry-After in ms (delta-seconds or HTTP date, relative to `now`), or null. */
+function retryAfterMs(e, now = Date.now()) {
+    const h = e?.response?.headers;
+    const raw = h?.get?.("retry-after") ?? h?.["retry-after"];
+    if (raw == null) return null;
+    const secs = Number(raw);
+    if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+    const at = Date.parse(raw);
+    return Number.isNaN(at) ? null : Math.max(0, at - now);
+}
+
+/**
+ * Limiter for `limit(fn)` calls: at most `max` run at once, the others wait their
+ * turn in order. One limiter shared by several clients bounds their requests together.
+ */
+export function createLimiter(max) {
+    let active = 0;
+    const waiting = [];
+    const next = () => {
+        if (active >= max || waiting.length === 0) return;
+        active++;
+        const { fn, resolve, reject } = waiting.shift();
+        Promise.resolve()
+            .then(fn)
+            .then(resolve, reject)
+            .finally(() => {
+                active--;
+                next();
+            });
+    };
+    return (fn) =>
+        new Promise((resolve, reject) => {
+            waiting.push({ fn, resolve, reject });
+            next();
+        });
+}
+
+/**
+ * Run `fn` with retries. `stats` ({ apiCalls, retries }) is incremented in place,
+ * `log` (pino) receives one warning per retry, `limit` (createLimiter) holds a slot
+ * for each attempt — not while waiting to retry. `sleep`/`now` stand in for the
+ * timer and clock in tests.
+ */
+export async function withRetry(
+    fn,
+    {
+        stats,
+        log,
+        limit,
+        maxTotalMs = MAX_TOTAL_MS,
+        baseMs = BASE_MS,
+        maxDelayMs = MAX_DELAY_MS,
+        sleep = defaultSleep,
+        now = Date.now,
+    } = {}
+) {
+    const started = now();
+    for (let attempt = 0; ; attempt++) {
+        if (stats) stats.apiCalls++;
+        try {
+            return await (limit ? limit(fn) : fn());
+        } catch (e) {
+            const kind = classifyError(e);
+            if (kind === "fatal") throw e;
+
+            const backoff = Math.random() * Math.min(maxDelayMs, baseMs * 2 ** attempt);
+            const delay = retryAfterMs(e, now()) ?? backoff;
+            if (now() - started + delay > maxTotalMs) throw e;
+
+            if (stats) stats.retries++;
+            log?.warn(
+                {
+                    kind,
+                    status: statusOf(e),
+                    reason: reasonOf(e),
+                    attempt: attempt + 1,
+                    delayMs: Math.round(delay),
+                },
+                "google api retry"
+            );
+            await sleep(delay);
+        }
+    }
+}
+
+/**
+ * Wrap a googleapis client (e.g. google.calendar(...)) so every method of every
+ * resource (calendar.events.list, calendar.channels.stop, ...) goes through withRetry.
+ */
+export function withRetries(client, opts = {}) {
+    // googleapis resources are frozen-ish data properties, so shadow them on a
+    // child object instead of proxying the client itself.
+    const wrapResource = (res) =>
+        new Proxy(Object.create(res), {
+            get(_, prop) {
+                const v = res[prop];
+                return typeof v === "function"
+                    ? (...args) => withRetry(() => v.apply(res, args), opts)
+                    : v;
+            },
+        });
+    const out = Object.create(client);
+    for (const [key, v] of Object.entries(client)) {
+        if (v && typeof v === "object" && key !== "context") {
+            Object.defineProperty(out, key, { value: wrapResource(v) });
+        }
+    }
+    return out;
+}
@@ -0,0 +1,153 @@
+// scripts/journal.js
+// Search event_journal: every mirror the worker created, updated or deleted, and why.
+//   node scripts/journal.js [SUB_ID] [--text=lecture] [--event-date=2026-10-22]
+//                           [--since=2026-10-01] [--until=2026-10-31]
+//                           [--action=insert|update|delete] [--source=<EVENT_ID>] [--limit=50]
+//                           [--json]
+import "dotenv/config";
+import Database from "better-sqlite3";
+import { EXIT, printJson, usageError } from "./cli.js";
+
+const db = new Database(process.env.DB_PATH || "./sync.db");
+
+const USAGE = `Usage: node scripts/journal.js [SUB_ID] [options]
+
+  --text=<words>         summary or location contains the text
+  --event-date=<date>    events starting on this day (YYYY-MM-DD, UTC)
+  --since=<date|ISO>     changes made at or after this time
+  --until=<date|ISO>     changes made before this time (a bare date includes that day)
+  --action=<action>      insert, update or delete
+  --source=<EVENT_ID>    one source event
+  --limit=<N>            newest N entries (default 50)
+  --json                 print the entries as JSON`;
+
+const fail = (msg) => usageError(USAGE, msg);
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function parseTime(value, name, { endOfDay = false } = {}) {
+    const ms = Date.parse(value);
+    if (Number.isNaN(ms)) fail(`Invalid --${name}: ${value}`);
+    // a bare date for --until means "through the end of that day"
+    return endOfDay && DATE_RE.test(value) ? ms + 24 * 3600 * 1000 : ms;
+}
+
+async function main() {
+    const options = new Map();
+    const positionals = [];
+    let json = false;
+    for (const a of process.argv.slice(2)) {
+        if (a === "--help" || a === "-h") {
+            console.log(USAGE);
+            return;
+        }
+        if (a === "--json") json = true;
+        else if (a.startsWith("--")) {
+            const i = a.indexOf("=");
+            if (i === -1) fail(`Unknown option: ${a}`);
+            options.set(a.slice(2, i), a.slice(i + 1));
+        } else {
+            positionals.push(a);
+        }
+    }
+
+    const known = new Set(["text", "event-date", "since", "until", "action", "source", "limit"]);
+    for (const k of options.keys()) if (!known.has(k)) fail(`Unknown option: --${k}`);
+
+    const where = [];
+    const params = [];
+    if (positionals[0]) {
+        where.push("subscription_id = ?");
+        params.push(positionals[0]);
+    }
+    if (options.has("text")) {
+        where.push("(summary LIKE ? OR location LIKE ?)");
+        params.push(`%${options.get("text")}%`, `%${options.get("text")}%`);
+    }
+    if (options.has("event-date")) {
+        const d = options.get("event-date");
+        if (!DATE_RE.test(d)) fail(`Invalid --event-date: ${d}`);
+        where.push("start_at LIKE ?");
+        params.push(`${d}%`);
+    }
+    if (options.has("since")) {
+        where.push("at >= ?");
+        params.push(parseTime(options.get("since"), "since"));
+    }
+    if (options.has("until")) {
+        where.push("at < ?");
+        params.push(parseTime(options.get("until"), "until", { endOfDay: true }));
+    }
+    if (options.has("action")) {
+        const action = options.get("action");
+        if (!["insert", "update", "delete"].includes(action)) {
+            fail(`Invalid --action: ${action}`);
+        }
+        where.push("action = ?");
+        params.push(action);
+    }
+    if (options.has("source")) {
+        where.push("source_id = ?");
+        params.push(options.get("source"));
+    }
+    const limit = Number(options.get("limit") ?? 50);
+    if (!Number.isInteger(limit) || limit <= 0) fail(`Invalid --limit: ${options.get("limit")}`);
+
+    const rows = db
+        .prepare(
+            `SELECT * FROM event_journal
+             ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+             ORDER BY at DESC, id DESC LIMIT ?`
+        )
+        .all(...params, limit);
+
+    if (json) {
+        printJson({
+            entries: rows.reverse().map((r) => ({
+                id: r.id,
+                at: new Date(r.at).toISOString(),
+                runId: r.run_id,
+                subscriptionId: r.subscription_id,
+                action: r.action,
+                reason: r.reason,
+                sourceId: r.source_id,
+                targetId: r.target_id,
+                oldFingerprint: r.old_fingerprint,
+                newFingerprint: r.new_fingerprint,
+                summary: r.summary,
+                location: r.location,
+                startAt: r.start_at,
+            })),
+        });
+        return;
+    }
+
+    if (rows.length === 0) {
+        console.log("No journal entries found.");
+        return;
+    }
+
+    const sign = { insert: "+", update: "~", delete: "-" };
+    for (const r of rows.reverse()) {
+        const when = new Date(r.at).toISOString().replace("T", " ").slice(0, 19);
+        const fp =
+            r.action === "update" && r.old_fingerprint !== r.new_fingerprint
+                ? ` | fingerprint ${(r.old_fingerprint || "?").slice(0, 8)} -> ${(
+                      r.new_fingerprint || "?"
+                  ).slice(0, 8)}`
+                : "";
+        console.log(
+            `${when} | ${r.subscription_id} | ${sign[r.action]} ${r.action.padEnd(6)} | ` +
+                `${r.summary ?? "(unknown)"} @ ${r.start_at ?? "?"}${
+                    r.location ? ` (${r.location})` : ""
+                } | ${r.reason ?? ""} | source ${r.source_id ?? "?"} -> target ${
+                    r.target_id ?? "?"
+                }${r.run_id ? ` | run ${r.run_id}` : ""}${fp}`
+        );
+    }
+}
+
+main().catch((e) => {
+    console.error(e);
+    process.exit(EXIT.FAILURE);
+});
@@ -0,0 +1,84 @@
+// scripts/lease.js
+// Lease-based locks stored in SQLite (run_locks). A lease expires unless its holder
+// keeps heartbeating, so a crashed process blocks others for at most LOCK_TTL_SEC;
+// a lease left behind by a process that no longer exists on this host is taken over
+// right away.
+import os from "node:os";
+import crypto from "node:crypto";
+
+const TTL_MS = Number(process.env.LOCK_TTL_SEC || 120) * 1000;
+const HOST = os.hostname();
+
+function pidAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (e) {
+        return e.code === "EPERM";
+    }
+}
+
+function isStale(row, now) {
+    if (row.expires_at <= now) return true;
+    return row.host === HOST && row.pid !== process.pid && !pidAlive(row.pid);
+}
+
+/**
+ * Try to take the lease `name`. Returns { lease } on success, or { holder } (the
+ * run_locks row) when another live process holds it. `lease.takenOver` is the stale
+ * row that was replaced, if any; `onLost` runs if a heartbeat finds the lease gone.
+ */
+export function acquireLease(db, name, { ttlMs = TTL_MS, onLost } = {}) {
+    const owner = crypto.randomUUID();
+    const now = Date.now();
+
+    const result = db
+        .transaction(() => {
+            const row = db.prepare(`SELECT * FROM run_locks WHERE name=?`).get(name);
+            if (row && !isStale(row, now)) return { holder: row };
+            db.prepare(
+                `INSERT INTO run_locks(name,owner,pid,host,acquired_at,heartbeat_at,expires_at)
+         VALUES(?,?,?,?,?,?,?)
+         ON CONFLICT(name) DO UPDATE SET owner=excluded.owner,
+                                         pid=excluded.pid,
+                                         host=excluded.host,
+                                         acquired_at=excluded.acquired_at,
+                                         heartbeat_at=excluded.heartbeat_at,
+                                         expires_at=excluded.expires_at`
+            ).run(name, owner, process.pid, HOST, now, now, now + ttlMs);
+            return { takenOver: row || null };
+        })
+        .immediate();
+    if (result.holder) return { holder: result.holder };
+
+    const beat = db.prepare(
+        `UPDATE run_locks SET heartbeat_at=?, expires_at=? WHERE name=? AND owner=?`
+    );
+    const timer = setInterval(() => {
+        const t = Date.now();
+        if (beat.run(t, t + ttlMs, name, owner).changes === 0) {
+            clearInterval(timer);
+            onLost?.();
+        }
+    }, Math.max(1000, Math.floor(ttlMs / 3)));
+    timer.unref();
+
+    return {
+        lease: {
+            name,
+            takenOver: result.takenOver,
+            release() {
+                clearInterval(timer);
+                db.prepare(`DELETE FROM run_locks WHERE name=? AND owner=?`).run(
+                    name,
+                    owner
+                );
+            },
+        },
+    };
+}
+
+/** "host:pid" of a run_locks row, for log messages. */
+export function describeHolder(row) {
+    return `${row.host}:${row.pid}`;
+}
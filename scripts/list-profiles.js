@@ -0,0 +1,86 @@
+// scripts/list-profiles.js
+// Token profiles: every id in the token store plus any profile a subscription refers
+// to, with how it signs in, its subscriptions and whether it needs to log in again.
+//   node scripts/list-profiles.js [--json]
+import "dotenv/config";
+import Database from "better-sqlite3";
+import { openTokenStore } from "./tokenStore.js";
+import { reauthState, reconnectCommand } from "./profiles.js";
+import { EXIT, printJson, usageError } from "./cli.js";
+
+const args = process.argv.slice(2);
+const unknown = args.find((a) => a !== "--json");
+if (unknown) {
+    usageError("Usage: node scripts/list-profiles.js [--json]", `Unknown argument: ${unknown}`);
+}
+const json = args.includes("--json");
+
+const db = new Database(process.env.DB_PATH || "./sync.db");
+const store = openTokenStore({ db });
+
+async function describe(id) {
+    try {
+        const payload = await store.load(id);
+        if (!payload) return { stored: false, type: null, subject: null };
+        return payload.type === "service_account"
+            ? { stored: true, type: "service_account", subject: payload.subject }
+            : { stored: true, type: "oauth", subject: null };
+    } catch (e) {
+        return { stored: true, type: null, subject: null, error: e?.message || String(e) };
+    }
+}
+
+async function main() {
+    const counts = new Map(
+        db
+            .prepare(
+                `SELECT token_key, COUNT(*) AS total, SUM(is_enabled) AS enabled
+         FROM subscriptions GROUP BY token_key`
+            )
+            .all()
+            .map((r) => [r.token_key, r])
+    );
+    const ids = [...new Set([...store.listIds(), ...counts.keys()])].sort();
+
+    const profiles = [];
+    for (const id of ids) {
+        const reauth = reauthState(db, id);
+        profiles.push({
+            id,
+            ...(await describe(id)),
+            subscriptions: counts.get(id)?.total ?? 0,
+            enabledSubscriptions: counts.get(id)?.enabled ?? 0,
+            needsReauth: reauth?.reason ?? null,
+        });
+    }
+
+    if (json) {
+        printJson({ profiles });
+        return;
+    }
+    if (profiles.length === 0) {
+        console.log("No profiles found.");
+        return;
+    }
+    for (const p of profiles) {
+        const kind = p.error
+            ? `⚠️  cannot decrypt (${p.error})`
+            : !p.stored
+            ? "❌ no stored credentials"
+            : p.type === "service_account"
+            ? `service account as ${p.subject}`
+            : "OAuth login";
+        console.log(
+            `${p.id} | ${kind} | ${p.enabledSubscriptions}/${p.subscriptions} subscriptions enabled${
+                p.needsReauth
+                    ? ` | 🔑 needs re-auth (${p.needsReauth}): ${reconnectCommand(p.id, p)}`
+                    : ""
+            }`
+        );
+    }
+}
+
+main().catch((e) => {
+    console.error(e?.message || e);
+    process.exit(EXIT.FAILURE);
+});
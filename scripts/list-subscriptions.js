@@ -1,18 +1,99 @@
-
+// scripts/list-subscriptions.js
+//   node scripts/list-subscriptions.js [--events] [--json]
 import "dotenv/config";
 import Database from "better-sqlite3";
+import { reauthState, reconnectCommandFor, tokenStoreOrNull } from "./profiles.js";
+import { EXIT, printJson, subscriptionJson, subscriptionLine, usageError } from "./cli.js";
 const db = new Database(process.env.DB_PATH || "./sync.db");
-const rows = db
-    .prepare(
-        `SELECT id, token_key, source_calendar_id, target_calendar_id, filter_type, filters_raw, is_enabled FROM subscriptions`
-    )
-    .all();
-for (const r of rows) {
-    console.log(
-        `${r.id} | ${r.is_enabled ? "ENABLED" : "disabled"} | ${
-            r.token_key
-        } | ${r.source_calendar_id} -> ${r.target_calendar_id} | ${
-            r.filter_type
-        } | ${r.filters_raw}`
+
+const args = process.argv.slice(2);
+const unknown = args.find((a) => a !== "--events" && a !== "--json");
+if (unknown) {
+    usageError(
+        "Usage: node scripts/list-subscriptions.js [--events] [--json]",
+        `Unknown argument: ${unknown}`
+    );
+}
+const showEvents = args.includes("--events");
+const json = args.includes("--json");
+
+async function main() {
+    const rows = db
+        .prepare(
+            `SELECT s.id, s.token_key, s.source_calendar_id, s.target_calendar_id, s.filter_type, s.filters_raw, s.label, s.is_enabled,
+                    (SELECT COUNT(*) FROM event_mappings m WHERE m.subscription_id = s.id) AS mirrors
+             FROM subscriptions s`
+        )
+        .all();
+
+    // target calendar -> subscription ids writing into it
+    const byTarget = new Map();
+    for (const r of rows) {
+        if (!byTarget.has(r.target_calendar_id)) byTarget.set(r.target_calendar_id, []);
+        byTarget.get(r.target_calendar_id).push(r.id);
+    }
+
+    const events = db.prepare(
+        `SELECT m.target_id, m.source_id, m.subscription_id
+         FROM event_mappings m
+         JOIN subscriptions s ON s.id = m.subscription_id
+         WHERE s.target_calendar_id = ?
+         ORDER BY m.subscription_id, m.source_id`
     );
+
+    if (json) {
+        printJson({
+            subscriptions: rows.map((r) => ({
+                ...subscriptionJson(r),
+                mirrors: r.mirrors,
+                sharesTargetWith: byTarget.get(r.target_calendar_id).filter((id) => id !== r.id),
+                needsReauth: reauthState(db, r.token_key)?.reason ?? null,
+            })),
+            ...(showEvents && {
+                events: [...byTarget.keys()].flatMap((target) =>
+                    events.all(target).map((e) => ({
+                        target,
+                        targetId: e.target_id,
+                        sourceId: e.source_id,
+                        subscriptionId: e.subscription_id,
+                    }))
+                ),
+            }),
+        });
+        return;
+    }
+
+    for (const r of rows) {
+        const sharing = byTarget.get(r.target_calendar_id).filter((id) => id !== r.id);
+        const reauth = reauthState(db, r.token_key);
+        console.log(
+            `${subscriptionLine(r)} | ${r.mirrors} mirrors${
+                sharing.length ? ` | shares target with ${sharing.join(", ")}` : ""
+            }${reauth ? ` | 🔑 needs re-auth (${reauth.reason})` : ""}`
+        );
+    }
+
+    // profiles whose subscriptions are skipped until they log in again
+    const reauthKeys = [...new Set(rows.map((r) => r.token_key))].filter((k) => reauthState(db, k));
+    if (reauthKeys.length) {
+        console.log("\n🔑 Profiles that need to log in again (their subscriptions are skipped):");
+        const store = tokenStoreOrNull({ db });
+        for (const k of reauthKeys) console.log(`   ${k}: ${await reconnectCommandFor(store, k)}`);
+    }
+
+    // --events: every mirrored event per target calendar and the subscription owning it
+    if (showEvents) {
+        for (const target of byTarget.keys()) {
+            const list = events.all(target);
+            console.log(`\n${target} (${list.length} mirrored events)`);
+            for (const e of list) {
+                console.log(`  ${e.target_id} <- ${e.source_id} | owner ${e.subscription_id}`);
+            }
+        }
+    }
 }
+
+main().catch((e) => {
+    console.error(e);
+    process.exit(EXIT.FAILURE);
+});
@@ -0,0 +1,104 @@
+// scripts/migrate-tokens.js
+// Move stored tokens between the token store backends: the files in TOKENSTORE_DIR and
+// the token_store table in sync.db. Entries are copied as they are (still encrypted);
+// each one is checked to decrypt before and after the copy.
+//   node scripts/migrate-tokens.js --to=sqlite|file [--overwrite] [--remove-source] [--dry-run]
+import "dotenv/config";
+import Database from "better-sqlite3";
+import { createTokenStore, fileBackend, sqliteBackend } from "./tokenStore.js";
+import { EXIT, usageError } from "./cli.js";
+
+const USAGE = `Usage: node scripts/migrate-tokens.js --to=sqlite|file [options]
+
+  --to=<backend>     where the tokens go: sqlite (token_store table in DB_PATH) or
+                     file (TOKENSTORE_DIR); they are read from the other one
+  --overwrite        replace profiles that already exist there with different tokens
+  --remove-source    delete the copied tokens from the source backend afterwards
+  --dry-run          only list what would be copied`;
+
+function parseArgs(argv) {
+    const opts = { to: null, overwrite: false, removeSource: false, dryRun: false };
+    for (const a of argv.slice(2)) {
+        if (a.startsWith("--to=")) opts.to = a.slice("--to=".length);
+        else if (a === "--overwrite") opts.overwrite = true;
+        else if (a === "--remove-source") opts.removeSource = true;
+        else if (a === "--dry-run") opts.dryRun = true;
+        else return null;
+    }
+    return ["sqlite", "file"].includes(opts.to) ? opts : null;
+}
+
+async function main() {
+    const opts = parseArgs(process.argv);
+    if (!opts) usageError(USAGE);
+
+    const db = new Database(process.env.DB_PATH || "./sync.db");
+    const files = fileBackend(process.env.TOKENSTORE_DIR || "./secure_tokens");
+    const table = sqliteBackend(db);
+    const [from, to] = opts.to === "sqlite" ? [files, table] : [table, files];
+    const source = createTokenStore(from);
+    const target = createTokenStore(to);
+
+    console.log(`📦 ${from.name} (${from.location}) → ${to.name} (${to.location})`);
+
+    const copies = [];
+    const unchanged = [];
+    const problems = [];
+    for (const id of from.list()) {
+        const buf = from.read(id);
+        try {
+            await source.inspect(id);
+        } catch (e) {
+            problems.push(`${id}: cannot be decrypted (${e.message})`);
+            continue;
+        }
+        const existing = to.read(id);
+        if (existing?.equals(buf)) {
+            unchanged.push(id);
+        } else if (existing && !opts.overwrite) {
+            problems.push(`${id}: already in ${to.name} with different tokens (use --overwrite)`);
+        } else {
+            copies.push({ id, buf, replaces: !!existing });
+        }
+    }
+
+    for (const c of copies) {
+        console.log(`   ${c.replaces ? "~ replace" : "+ copy"} ${c.id}`);
+    }
+    for (const id of unchanged) console.log(`   = ${id} (already there)`);
+    if (problems.length) {
+        console.error(`\n❌ Nothing was copied:\n   ${problems.join("\n   ")}`);
+        process.exit(EXIT.FAILURE);
+    }
+    if (copies.length + unchanged.length === 0) {
+        console.log(`   (no tokens in ${from.name} store)`);
+        return;
+    }
+    if (opts.dryRun) {
+        console.log("\n(dry run — nothing was changed)");
+        return;
+    }
+
+    // sqlite: one transaction. file: all staged first, then each file replaced on its
+    // own — a crash midway leaves some copied and some not; re-running finishes the job
+    to.writeAll(copies);
+    for (const id of [...copies.map((c) => c.id), ...unchanged]) {
+        await target.inspect(id);
+    }
+    console.log(
+        `\n✅ Copied ${copies.length} profile(s); all ${
+            copies.length + unchanged.length
+        } decrypt from ${to.name}.`
+    );
+
+    if (opts.removeSource) {
+        for (const id of [...copies.map((c) => c.id), ...unchanged]) from.remove(id);
+        console.log(`🗑️  Removed them from ${from.name} store.`);
+    }
+    console.log(`👉 Set TOKENSTORE_BACKEND=${to.name} in .env and restart running workers.`);
+}
+
+main().catch((e) => {
+    console.error(e?.message || e);
+    process.exit(EXIT.FAILURE);
+});
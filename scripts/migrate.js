@@ -57,8 +57,8 @@ function migrateToV1() {
     token_key          TEXT NOT NULL,                         -- e.g. "acepeax"
     source_calendar_id TEXT NOT NULL,
     target_calendar_id TEXT NOT NULL,
-    filter_type        TEXT NOT NULL DEFAULT 'keywords',      -- 'keywords' | 'regex'
-    filters_raw        TEXT NOT NULL,                         -- "Math 201,AI 305" or regex
+    filter_type        TEXT NOT NULL DEFAULT 'keywords',      -- 'keywords' | 'regex' | 'expr'
+    filters_raw        TEXT NOT NULL,                         -- "Math 201,AI 305", regex or expression
     is_enabled         INTEGER NOT NULL DEFAULT 1,
     created_at         INTEGER NOT NULL,
     updated_at         INTEGER NOT NULL
@@ -97,13 +97,250 @@ function migrateToV2() {
 
         const info = db.prepare(`DELETE FROM event_mappings;`).run();
         console.log(`🧹 Cleared ${info.changes} rows from event_mappings during v2 migration`);
+        if (info.changes > 0) {
+            // mirrors this old carry no ownership tags, so they can only be matched by content
+            console.log(
+                "   Rebuild them from the target calendars: review the events listed by\n" +
+                    "   npm run recover -- --all --match-untagged --dry-run\n" +
+                    "   then run it again without --dry-run"
+            );
+        }
+    }
+}
+
+/**
+ * v3 — per-subscription schedule for daemon mode
+ *  - subscriptions.sync_interval_sec (NULL → SYNC_INTERVAL_SEC default)
+ *  - subscriptions.sync_jitter_sec   (NULL → 10% of the interval)
+ */
+function migrateToV3() {
+    if (!hasColumn("subscriptions", "sync_interval_sec")) {
+        db.exec(`ALTER TABLE subscriptions ADD COLUMN sync_interval_sec INTEGER;`);
+    }
+    if (!hasColumn("subscriptions", "sync_jitter_sec")) {
+        db.exec(`ALTER TABLE subscriptions ADD COLUMN sync_jitter_sec INTEGER;`);
+    }
+}
+
+/**
+ * v4 — push notification channels (events.watch), one per (profile, source calendar)
+ */
+function migrateToV4() {
+    db.exec(`
+  CREATE TABLE IF NOT EXISTS watch_channels (
+    channel_id         TEXT PRIMARY KEY,                      -- our UUID, X-Goog-Channel-ID
+    resource_id        TEXT NOT NULL,                         -- Google's X-Goog-Resource-ID
+    token_key          TEXT NOT NULL,
+    source_calendar_id TEXT NOT NULL,
+    channel_token      TEXT NOT NULL,                         -- echoed in X-Goog-Channel-Token
+    expiration         INTEGER NOT NULL,                      -- ms epoch
+    created_at         INTEGER NOT NULL
+  );
+  `);
+    ensureIndex(`
+    CREATE INDEX IF NOT EXISTS ix_watch_source
+    ON watch_channels (token_key, source_calendar_id);
+  `);
+}
+
+/**
+ * v5 — time-based filters on subscriptions (all nullable = unrestricted)
+ *  - weekdays ("mon,wed"), time_from/time_to ("HH:MM"), date_from/date_to ("YYYY-MM-DD")
+ */
+function migrateToV5() {
+    for (const col of [
+        "weekdays",
+        "time_from",
+        "time_to",
+        "date_from",
+        "date_to",
+    ]) {
+        if (!hasColumn("subscriptions", col)) {
+            db.exec(`ALTER TABLE subscriptions ADD COLUMN ${col} TEXT;`);
+        }
+    }
+}
+
+/**
+ * v6 — subscriptions.transform_json (summary template, rename/color rules, footer)
+ */
+function migrateToV6() {
+    if (!hasColumn("subscriptions", "transform_json")) {
+        db.exec(`ALTER TABLE subscriptions ADD COLUMN transform_json TEXT;`);
+    }
+}
+
+/**
+ * v7 — subscriptions.reminders_json (reminder overrides, optionally per filter rule)
+ */
+function migrateToV7() {
+    if (!hasColumn("subscriptions", "reminders_json")) {
+        db.exec(`ALTER TABLE subscriptions ADD COLUMN reminders_json TEXT;`);
+    }
+}
+
+/**
+ * v8 — event_mappings.start_at (source start as UTC ISO), so pruning can tell which
+ * mappings the backfill listing covered without fetching every source event
+ */
+function migrateToV8() {
+    if (!hasColumn("event_mappings", "start_at")) {
+        db.exec(`ALTER TABLE event_mappings ADD COLUMN start_at TEXT;`);
+    }
+}
+
+/**
+ * v9 — run_locks: lease-based locks so overlapping worker processes (cron, daemon,
+ * push receiver) never sync the same subscription at the same time
+ */
+function migrateToV9() {
+    db.exec(`
+  CREATE TABLE IF NOT EXISTS run_locks (
+    name         TEXT PRIMARY KEY,                      -- "worker" or "sub:<id>"
+    owner        TEXT NOT NULL,                         -- random per acquisition
+    pid          INTEGER NOT NULL,
+    host         TEXT NOT NULL,
+    acquired_at  INTEGER NOT NULL,                      -- ms epoch
+    heartbeat_at INTEGER NOT NULL,
+    expires_at   INTEGER NOT NULL
+  );
+  `);
+}
+
+/**
+ * v10 — sync_runs: one row per (non dry-run) subscription run with per-phase counts,
+ * API usage and the error message, for `npm run status`
+ */
+function migrateToV10() {
+    db.exec(`
+  CREATE TABLE IF NOT EXISTS sync_runs (
+    id               INTEGER PRIMARY KEY AUTOINCREMENT,
+    subscription_id  TEXT NOT NULL,
+    started_at       INTEGER NOT NULL,                      -- ms epoch
+    finished_at      INTEGER,                               -- NULL while running (or crashed)
+    duration_ms      INTEGER,
+    status           TEXT NOT NULL,                         -- running | ok | error | token_expired | auth_error
+    delta_created    INTEGER NOT NULL DEFAULT 0,
+    delta_updated    INTEGER NOT NULL DEFAULT 0,
+    delta_removed    INTEGER NOT NULL DEFAULT 0,
+    backfill_created INTEGER NOT NULL DEFAULT 0,
+    backfill_updated INTEGER NOT NULL DEFAULT 0,
+    prune_removed    INTEGER NOT NULL DEFAULT 0,
+    dedupe_removed   INTEGER NOT NULL DEFAULT 0,
+    api_calls        INTEGER NOT NULL DEFAULT 0,
+    retries          INTEGER NOT NULL DEFAULT 0,
+    error            TEXT
+  );
+  `);
+    ensureIndex(`
+    CREATE INDEX IF NOT EXISTS ix_runs_sub_started
+    ON sync_runs (subscription_id, started_at);
+  `);
+}
+
+/**
+ * v11 — event_journal: append-only log of every mirror created, updated or deleted,
+ * with the reason and key fields (`npm run journal`)
+ */
+function migrateToV11() {
+    db.exec(`
+  CREATE TABLE IF NOT EXISTS event_journal (
+    id              INTEGER PRIMARY KEY AUTOINCREMENT,
+    at              INTEGER NOT NULL,                       -- ms epoch
+    run_id          INTEGER,                                -- sync_runs.id
+    subscription_id TEXT NOT NULL,
+    action          TEXT NOT NULL,                          -- insert | update | delete
+    reason          TEXT,
+    source_id       TEXT,                                   -- dedupe orphans: from the mirror tags
+    target_id       TEXT,
+    old_fingerprint TEXT,
+    new_fingerprint TEXT,
+    summary         TEXT,
+    location        TEXT,
+    start_at        TEXT                                    -- UTC ISO, like event_mappings.start_at
+  );
+  `);
+    ensureIndex(`
+    CREATE INDEX IF NOT EXISTS ix_journal_sub_at
+    ON event_journal (subscription_id, at);
+  `);
+    ensureIndex(`
+    CREATE INDEX IF NOT EXISTS ix_journal_source
+    ON event_journal (subscription_id, source_id);
+  `);
+}
+
+/**
+ * v12 — payload snapshots for `npm run rollback`
+ *  - event_mappings.payload: JSON body last written to the mirror
+ *  - event_journal.old_payload: the mirror's body before an update or delete
+ */
+function migrateToV12() {
+    if (!hasColumn("event_mappings", "payload")) {
+        db.exec(`ALTER TABLE event_mappings ADD COLUMN payload TEXT;`);
+    }
+    if (!hasColumn("event_journal", "old_payload")) {
+        db.exec(`ALTER TABLE event_journal ADD COLUMN old_payload TEXT;`);
+    }
+}
+
+/**
+ * v13 — profile_state: token profiles whose Google grant stopped working
+ * (revoked or expired refresh token); the worker skips their subscriptions
+ * until the profile is connected again
+ */
+function migrateToV13() {
+    db.exec(`
+  CREATE TABLE IF NOT EXISTS profile_state (
+    token_key   TEXT PRIMARY KEY,
+    status      TEXT NOT NULL,                             -- needs_reauth
+    reason      TEXT,                                      -- e.g. invalid_grant
+    since       INTEGER NOT NULL,                          -- ms epoch of the first failure
+    checked_at  INTEGER NOT NULL                           -- ms epoch of the last failure
+  );
+  `);
+}
+
+/**
+ * v14 — token_store: encrypted OAuth tokens per profile, for TOKENSTORE_BACKEND=sqlite
+ * (same blobs as the files in TOKENSTORE_DIR)
+ */
+function migrateToV14() {
+    db.exec(`
+  CREATE TABLE IF NOT EXISTS token_store (
+    id          TEXT PRIMARY KEY,                          -- profile id (token_key)
+    blob        TEXT NOT NULL,                             -- encrypted JSON, see tokenStore.js
+    updated_at  INTEGER NOT NULL                           -- ms epoch
+  );
+  `);
+}
+
+/**
+ * v15 — subscriptions.label: optional human-readable name shown next to the id
+ */
+function migrateToV15() {
+    if (!hasColumn("subscriptions", "label")) {
+        db.exec(`ALTER TABLE subscriptions ADD COLUMN label TEXT;`);
     }
 }
 
-// Add future migrations here (v3, v4, ...) and bump LATEST_VERSION.
+// Add future migrations here (v16, v17, ...) and bump LATEST_VERSION.
 const migrations = [
     { version: 1, up: migrateToV1 },
     { version: 2, up: migrateToV2 },
+    { version: 3, up: migrateToV3 },
+    { version: 4, up: migrateToV4 },
+    { version: 5, up: migrateToV5 },
+    { version: 6, up: migrateToV6 },
+    { version: 7, up: migrateToV7 },
+    { version: 8, up: migrateToV8 },
+    { version: 9, up: migrateToV9 },
+    { version: 10, up: migrateToV10 },
+    { version: 11, up: migrateToV11 },
+    { version: 12, up: migrateToV12 },
+    { version: 13, up: migrateToV13 },
+    { version: 14, up: migrateToV14 },
+    { version: 15, up: migrateToV15 },
 ];
 
 const LATEST_VERSION = migrations[migrations.length - 1].version;
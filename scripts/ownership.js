@@ -0,0 +1,77 @@
+// Ownership tags stamped on every mirrored event (extendedProperties.private),
+// so cleanup code can tell our mirrors apart from events users created themselves.
+// Mirrors also record the fingerprint and source etag they were written from, which
+// lets `recover` rebuild event_mappings from the target calendar alone.
+
+export const OWNER_MARKER = "gcalendar-filter-sync";
+
+const KEY_OWNER = "gcfsOwner";
+const KEY_SUBSCRIPTION = "gcfsSubscription";
+const KEY_SOURCE = "gcfsSourceId";
+const KEY_FINGERPRINT = "gcfsFingerprint";
+const KEY_SOURCE_ETAG = "gcfsSourceEtag";
+
+/** Private extended properties identifying a mirror of `sourceId` for `subId`. */
+export function ownershipProps(subId, sourceId) {
+    return {
+        [KEY_OWNER]: OWNER_MARKER,
+        [KEY_SUBSCRIPTION]: subId,
+        [KEY_SOURCE]: sourceId,
+    };
+}
+
+/** Return `payload` stamped with our ownership tags (other private props are kept). */
+export function withOwnership(payload, subId, sourceId) {
+    const ext = payload.extendedProperties || {};
+    return {
+        ...payload,
+        extendedProperties: {
+            ...ext,
+            private: { ...(ext.private || {}), ...ownershipProps(subId, sourceId) },
+        },
+    };
+}
+
+/**
+ * Record the fingerprint/source etag a mirror was written from. Applied after
+ * fingerprinting, so the stamp itself never changes the fingerprint.
+ */
+export function withSyncStamp(payload, fingerprint, sourceEtag) {
+    const ext = payload.extendedProperties || {};
+    return {
+        ...payload,
+        extendedProperties: {
+            ...ext,
+            private: {
+                ...(ext.private || {}),
+                [KEY_FINGERPRINT]: fingerprint,
+                [KEY_SOURCE_ETAG]: sourceEtag ?? "",
+            },
+        },
+    };
+}
+
+/**
+ * { subscriptionId, sourceId, fingerprint, sourceEtag } for a target event we
+ * created, else null. The last two are null on mirrors written before stamping.
+ */
+export function ownerOf(ev) {
+    const p = ev?.extendedProperties?.private;
+    if (p?.[KEY_OWNER] !== OWNER_MARKER) return null;
+    return {
+        subscriptionId: p[KEY_SUBSCRIPTION] ?? null,
+        sourceId: p[KEY_SOURCE] ?? null,
+        fingerprint: p[KEY_FINGERPRINT] ?? null,
+        sourceEtag: p[KEY_SOURCE_ETAG] ?? null,
+    };
+}
+
+/** events.list filter selecting only our mirrors (any subscription). */
+export function ownedQuery() {
+    return [`${KEY_OWNER}=${OWNER_MARKER}`];
+}
+
+/** events.list filter selecting only mirrors of one subscription. */
+export function ownedBySubscriptionQuery(subId) {
+    return [`${KEY_OWNER}=${OWNER_MARKER}`, `${KEY_SUBSCRIPTION}=${subId}`];
+}
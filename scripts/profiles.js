@@ -0,0 +1,120 @@
+// scripts/profiles.js
+// Token profiles: the Google auth client for a stored profile (OAuth refresh token, or
+// a service account impersonating a Workspace user), and profiles whose grant stopped
+// working (profile_state). A revoked or expired refresh token fails every call with
+// invalid_grant, so the worker marks the profile once and skips its subscriptions until
+// it is connected again; saving new tokens (newer issued_at than the failure) clears
+// the mark on the next run.
+import { google } from "googleapis";
+import { openTokenStore } from "./tokenStore.js";
+
+export const CALENDAR_SCOPES = ["https://www.googleapis.com/auth/calendar"];
+
+/**
+ * Auth client for the stored profile `payload`:
+ *  - `type: "service_account"`: a JWT client for `service_account` (client_email,
+ *    private_key) acting as `subject` through domain-wide delegation
+ *  - otherwise an OAuth2 client on `tokens.refresh_token`
+ */
+export function authClientFor(tokenKey, payload) {
+    if (payload?.type === "service_account") {
+        const { client_email, private_key, private_key_id } = payload.service_account || {};
+        if (!client_email || !private_key || !payload.subject) {
+            throw new Error(
+                `Incomplete service account profile tokenKey=${tokenKey} (needs key and subject)`
+            );
+        }
+        return new google.auth.JWT({
+            email: client_email,
+            key: private_key,
+            keyId: private_key_id,
+            subject: payload.subject,
+            scopes: payload.scopes || CALENDAR_SCOPES,
+            forceRefreshOnFailure: true,
+        });
+    }
+
+    if (!payload?.tokens?.refresh_token) {
+        const err = new Error(`No refresh token for tokenKey=${tokenKey}`);
+        err.code = "NO_REFRESH_TOKEN";
+        throw err;
+    }
+    const oauth2 = new google.auth.OAuth2({
+        clientId: process.env.GOOGLE_CLIENT_ID,
+        clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+        redirectUri: process.env.GOOGLE_REDIRECT_URI,
+        forceRefreshOnFailure: true, // see authFailureReason
+    });
+    oauth2.setCredentials({ refresh_token: payload.tokens.refresh_token });
+    return oauth2;
+}
+
+// OAuth error codes from the token endpoint that only a new login fixes
+const GRANT_ERRORS = new Set(["invalid_grant", "unauthorized_client", "invalid_client"]);
+
+/**
+ * Why `e` means the profile has to log in again ("invalid_grant", ...), or null for
+ * any other failure. Only the token endpoint's grant errors count: a 401 from the
+ * Calendar API is retried once with a freshly refreshed token (forceRefreshOnFailure
+ * in authClientFor), and one that persists is an ordinary failed run, not a lockout.
+ */
+export function authFailureReason(e) {
+    if (e?.code === "NO_REFRESH_TOKEN") return "no refresh token stored";
+    const data = e?.response?.data;
+    const code = typeof data?.error === "string" ? data.error : e?.message;
+    if (GRANT_ERRORS.has(code)) return code;
+    return null;
+}
+
+/** The profile_state row of a profile flagged for re-auth, or null. */
+export function reauthState(db, tokenKey) {
+    return (
+        db
+            .prepare(`SELECT * FROM profile_state WHERE token_key=? AND status='needs_reauth'`)
+            .get(tokenKey) || null
+    );
+}
+
+/** Flag a profile for re-auth; `since` keeps the time of the first failure. */
+export function markNeedsReauth(db, tokenKey, reason) {
+    const now = Date.now();
+    db.prepare(
+        `INSERT INTO profile_state(token_key,status,reason,since,checked_at)
+     VALUES(?,'needs_reauth',?,?,?)
+     ON CONFLICT(token_key) DO UPDATE SET status=excluded.status,
+                                          reason=excluded.reason,
+                                          checked_at=excluded.checked_at`
+    ).run(tokenKey, reason, now, now);
+}
+
+export function clearReauth(db, tokenKey) {
+    db.prepare(`DELETE FROM profile_state WHERE token_key=?`).run(tokenKey);
+}
+
+/**
+ * Command that connects the profile again: a new OAuth login, or storing the service
+ * account key again. `payload` is the stored profile (or { type, subject }), if known.
+ */
+export function reconnectCommand(tokenKey, payload) {
+    if (payload?.type === "service_account") {
+        return `npm run connect:sa -- <KEY_FILE.json> ${payload.subject || "<USER_EMAIL>"} ${tokenKey}`;
+    }
+    return `npm run login:local -- ${tokenKey}`;
+}
+
+/**
+ * reconnectCommand() for a profile in `store`. Without a store (no secret configured)
+ * or when the profile can't be read, the OAuth login is suggested.
+ */
+export async function reconnectCommandFor(store, tokenKey) {
+    return reconnectCommand(tokenKey, await store?.load(tokenKey).catch(() => null));
+}
+
+/** The configured token store, or null when it can't be opened (e.g. no secret set). */
+export function tokenStoreOrNull(opts) {
+    try {
+        return openTokenStore(opts);
+    } catch {
+        return null;
+    }
+}
@@ -0,0 +1,286 @@
+// scripts/push-receiver.js
+// HTTP receiver for Google Calendar push notifications (events.watch).
+// One channel per (profile, source calendar); a notification triggers a sync
+// of every enabled subscription reading that source.
+import "dotenv/config";
+import http from "node:http";
+import crypto from "node:crypto";
+import pino from "pino";
+import Database from "better-sqlite3";
+import { google } from "googleapis";
+import { oauthForTokenKey, profileBlocked, runGroup, inFlight } from "./worker.js";
+import { withRetries } from "./googleRetry.js";
+import { authFailureReason, markNeedsReauth } from "./profiles.js";
+
+const log = pino({ level: process.env.LOG_LEVEL || "info" });
+
+const db = new Database(process.env.DB_PATH || "./sync.db");
+
+const PORT = Number(process.env.PUSH_PORT || 8787);
+const PATH = process.env.PUSH_PATH || "/notifications";
+const WEBHOOK_URL = process.env.PUSH_WEBHOOK_URL || ""; // public https URL routed to PATH
+const TTL_SEC = Number(process.env.PUSH_TTL_SEC || 7 * 24 * 3600);
+const RENEW_BEFORE_SEC = Number(process.env.PUSH_RENEW_BEFORE_SEC || 12 * 3600);
+const CHECK_SEC = Number(process.env.PUSH_CHECK_SEC || 300);
+const DEBOUNCE_MS = Number(process.env.PUSH_DEBOUNCE_MS || 2000);
+
+/* -------------------- channel bookkeeping -------------------- */
+
+function wantedSources() {
+    return db
+        .prepare(
+            `SELECT DISTINCT token_key, source_calendar_id
+       FROM subscriptions WHERE is_enabled=1`
+        )
+        .all();
+}
+
+function channelsFor(tokenKey, sourceCalId) {
+    return db
+        .prepare(
+            `SELECT * FROM watch_channels
+       WHERE token_key=? AND source_calendar_id=?
+       ORDER BY expiration DESC`
+        )
+        .all(tokenKey, sourceCalId);
+}
+
+function subsForChannel(channel) {
+    return db
+        .prepare(
+            `SELECT * FROM subscriptions
+       WHERE is_enabled=1 AND token_key=? AND source_calendar_id=?`
+        )
+        .all(channel.token_key, channel.source_calendar_id);
+}
+
+async function calendarFor(tokenKey) {
+    const auth = await oauthForTokenKey(tokenKey);
+    return withRetries(google.calendar({ version: "v3", auth }), { log });
+}
+
+async function registerChannel(tokenKey, sourceCalId) {
+    const calendar = await calendarFor(tokenKey);
+    const channelId = crypto.randomUUID();
+    const channelToken = crypto.randomBytes(24).toString("hex");
+
+    const { data } = await calendar.events.watch({
+        calendarId: sourceCalId,
+        requestBody: {
+            id: channelId,
+            type: "web_hook",
+            address: WEBHOOK_URL,
+            token: channelToken,
+            params: { ttl: String(TTL_SEC) },
+        },
+    });
+
+    db.prepare(
+        `INSERT INTO watch_channels(channel_id,resource_id,token_key,source_calendar_id,channel_token,expiration,created_at)
+     VALUES(?,?,?,?,?,?,?)`
+    ).run(
+        channelId,
+        data.resourceId,
+        tokenKey,
+        sourceCalId,
+        channelToken,
+        Number(data.expiration) || Date.now() + TTL_SEC * 1000,
+        Date.now()
+    );
+    log.info(
+        { channelId, src: sourceCalId, tokenKey, expiration: data.expiration },
+        "watch channel registered"
+    );
+}
+
+async function stopChannel(channel) {
+    try {
+        const calendar = await calendarFor(channel.token_key);
+        await calendar.channels.stop({
+            requestBody: {
+                id: channel.channel_id,
+                resourceId: channel.resource_id,
+            },
+        });
+    } catch (e) {
+        // already expired/stopped channels answer 404; anything else is just logged
+        if (e?.code !== 404) {
+            log.warn(
+                { channelId: channel.channel_id, err: e?.message },
+                "failed to stop watch channel"
+            );
+        }
+    }
+    db.prepare(`DELETE FROM watch_channels WHERE channel_id=?`).run(
+        channel.channel_id
+    );
+    log.info({ channelId: channel.channel_id }, "watch channel stopped");
+}
+
+/** Register missing channels, renew those close to expiry, drop unused ones. */
+async function ensureChannels() {
+    const renewAt = Date.now() + RENEW_BEFORE_SEC * 1000;
+    const wanted = wantedSources();
+    const wantedKeys = new Set(
+        wanted.map((w) => `${w.token_key}\u0000${w.source_calendar_id}`)
+    );
+
+    for (const w of wanted) {
+        // a profile that must log in again keeps its channels; its syncs are skipped anyway
+        if (await profileBlocked(w.token_key, { src: w.source_calendar_id })) continue;
+        const channels = channelsFor(w.token_key, w.source_calendar_id);
+        const fresh = channels.find((c) => c.expiration > renewAt);
+        try {
+            if (!fresh) {
+                await registerChannel(w.token_key, w.source_calendar_id);
+            }
+            // keep only the newest channel for this source
+            const keep = fresh || channelsFor(w.token_key, w.source_calendar_id)[0];
+            for (const c of channels) {
+                if (c.channel_id !== keep?.channel_id) await stopChannel(c);
+            }
+        } catch (e) {
+            const authReason = authFailureReason(e);
+            if (authReason) markNeedsReauth(db, w.token_key, authReason);
+            log.error(
+                {
+                    src: w.source_calendar_id,
+                    tokenKey: w.token_key,
+                    err: e?.message,
+                },
+                "watch channel registration failed"
+            );
+        }
+    }
+
+    const all = db.prepare(`SELECT * FROM watch_channels`).all();
+    for (const c of all) {
+        if (!wantedKeys.has(`${c.token_key}\u0000${c.source_calendar_id}`)) {
+            await stopChannel(c);
+        }
+    }
+}
+
+/* -------------------- notifications -------------------- */
+
+/** channelId -> debounce timer */
+const pending = new Map();
+
+function scheduleSync(channel) {
+    clearTimeout(pending.get(channel.channel_id));
+    pending.set(
+        channel.channel_id,
+        setTimeout(async () => {
+            pending.delete(channel.channel_id);
+            // a timer callback: anything thrown here would take the receiver down
+            try {
+                const subs = subsForChannel(channel);
+                log.info(
+                    { channelId: channel.channel_id, subIds: subs.map((s) => s.id) },
+                    "push → sync"
+                );
+                // all of them read this channel's calendar with its credentials
+                if (subs.length) await runGroup(subs);
+            } catch (e) {
+                log.error({ channelId: channel.channel_id, err: e?.message }, "push sync failed");
+            }
+        }, DEBOUNCE_MS)
+    );
+}
+
+/**
+ * Handle one notification. Returns the HTTP status to answer with.
+ * Google retries on non-2xx, so unknown channels are acknowledged as well.
+ */
+function handleNotification(headers) {
+    const channelId = headers["x-goog-channel-id"];
+    const state = headers["x-goog-resource-state"];
+    const token = headers["x-goog-channel-token"] || "";
+
+    if (!channelId || !state) return 400;
+
+    const channel = db
+        .prepare(`SELECT * FROM watch_channels WHERE channel_id=?`)
+        .get(channelId);
+    if (!channel) {
+        log.warn({ channelId, state }, "notification for unknown channel");
+        return 200;
+    }
+    const a = Buffer.from(token);
+    const b = Buffer.from(channel.channel_token);
+    if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+        log.warn({ channelId }, "notification with bad channel token");
+        return 403;
+    }
+
+    log.debug(
+        {
+            channelId,
+            state,
+            msg: headers["x-goog-message-number"],
+        },
+        "notification"
+    );
+    // "sync" is the handshake sent right after events.watch — nothing changed yet
+    if (state !== "sync") scheduleSync(channel);
+    return 200;
+}
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    if (req.method !== "POST" || url.pathname !== PATH) {
+        res.writeHead(404).end();
+        return;
+    }
+    // notifications have no meaningful body; drain it and answer from headers
+    req.resume();
+    req.on("end", () => {
+        res.writeHead(handleNotification(req.headers)).end();
+    });
+});
+
+/* -------------------- lifecycle -------------------- */
+
+let checkTimer = null;
+let stopping = false;
+
+async function shutdown(signal) {
+    if (stopping) process.exit(1);
+    stopping = true;
+    log.info({ signal }, "push receiver shutting down");
+    clearInterval(checkTimer);
+    for (const t of pending.values()) clearTimeout(t);
+    server.close();
+    // channels stay registered; they are reused on the next start
+    await Promise.allSettled([...inFlight.values()]);
+    db.close();
+    process.exit(0);
+}
+
+async function main() {
+    // PUSH_PORT=0 picks a free port (tests); the log shows the one in use
+    server.listen(PORT, () => {
+        log.info({ port: server.address().port, path: PATH }, "push receiver listening");
+    });
+
+    if (!WEBHOOK_URL) {
+        log.warn(
+            "PUSH_WEBHOOK_URL not set — not registering watch channels (existing channels still accepted)"
+        );
+    } else {
+        await ensureChannels();
+        checkTimer = setInterval(() => {
+            ensureChannels().catch((e) =>
+                log.error({ err: e?.message }, "channel check failed")
+            );
+        }, CHECK_SEC * 1000);
+    }
+
+    process.on("SIGINT", () => shutdown("SIGINT"));
+    process.on("SIGTERM", () => shutdown("SIGTERM"));
+}
+
+main().catch((e) => {
+    log.error({ err: e?.message }, "push receiver failed");
+    process.exit(1);
+});
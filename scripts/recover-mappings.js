@@ -0,0 +1,287 @@
+// scripts/recover-mappings.js
+// Rebuild event_mappings for a subscription from the mirrors in its target calendar
+// (after losing sync.db, or after the v2 migration cleared the table). Read-only on
+// the Google side: mirrors are identified by their ownership tags, and the
+// fingerprint/source etag they were written from is read back from the same tags.
+//
+// When sync.db itself was lost, re-add the subscription and pass the old id with
+// --from-sub=<OLD_ID>; the ids found in the target calendar are listed to help.
+//
+// Mirrors written before ownership tagging have no tags to go by. With
+// --match-untagged, an untagged target event is mapped to the source event with the
+// same start and summary when exactly one of each exists; the next run rewrites it,
+// which tags it.
+import "dotenv/config";
+import Database from "better-sqlite3";
+import { google } from "googleapis";
+import { oauthForTokenKey, startAtOf } from "./worker.js";
+import { ownerOf, ownedQuery } from "./ownership.js";
+import { withRetries } from "./googleRetry.js";
+import { EXIT } from "./cli.js";
+
+const db = new Database(process.env.DB_PATH || "./sync.db");
+
+/** Matching key for untagged mirrors: start instant and summary. */
+function matchKey(ev) {
+    const startAt = startAtOf(ev);
+    return startAt && `${startAt}|${(ev.summary ?? "").trim()}`;
+}
+
+/** Lists every page of `params` in `calendarId`. */
+async function listAll(calendar, params) {
+    const items = [];
+    let pageToken;
+    do {
+        const { data } = await calendar.events.list({
+            ...params,
+            maxResults: 2500,
+            pageToken,
+        });
+        items.push(...(data.items || []));
+        pageToken = data.nextPageToken || undefined;
+    } while (pageToken);
+    return items;
+}
+
+/**
+ * Pairs untagged target events with source events by matchKey(). Keys shared by
+ * several target or source events are ambiguous and skipped, as are source events
+ * that already have a mirror (`taken`) and target events any subscription already
+ * maps (`mappedTargets`). Returns { matches: Map(sourceId -> ev), ambiguous }.
+ */
+async function matchUntaggedMirrors(calendar, sub, taken, mappedTargets) {
+    const byKey = (events) => {
+        const m = new Map();
+        for (const ev of events) {
+            const key = matchKey(ev);
+            if (key) m.set(key, [...(m.get(key) || []), ev]);
+        }
+        return m;
+    };
+
+    const untagged = byKey(
+        (
+            await listAll(calendar, {
+                calendarId: sub.target_calendar_id,
+                showDeleted: false,
+                singleEvents: true,
+            })
+        ).filter((ev) => !ownerOf(ev) && !mappedTargets.has(ev.id))
+    );
+    const matches = new Map();
+    if (untagged.size === 0) return { matches, ambiguous: 0 };
+
+    // only the source range the candidates span
+    const starts = [...untagged.keys()].map((k) => k.slice(0, k.indexOf("|"))).sort();
+    const day = 24 * 3600 * 1000;
+    const source = byKey(
+        await listAll(calendar, {
+            calendarId: sub.source_calendar_id,
+            showDeleted: false,
+            singleEvents: true,
+            timeMin: new Date(Date.parse(starts[0]) - day).toISOString(),
+            timeMax: new Date(Date.parse(starts.at(-1)) + day).toISOString(),
+        })
+    );
+
+    let ambiguous = 0;
+    for (const [key, targets] of untagged) {
+        const candidates = (source.get(key) || []).filter((ev) => !taken.has(ev.id));
+        if (candidates.length === 0) continue;
+        if (targets.length > 1 || candidates.length > 1) {
+            ambiguous += targets.length;
+            continue;
+        }
+        matches.set(candidates[0].id, targets[0]);
+    }
+    return { matches, ambiguous };
+}
+
+async function recoverSubscription(sub, { dryRun, replace, fromSub, matchUntagged }) {
+    const oauth2 = await oauthForTokenKey(sub.token_key);
+    const calendar = withRetries(google.calendar({ version: "v3", auth: oauth2 }));
+    const ownerId = fromSub || sub.id;
+
+    // source_id -> newest mirror; older duplicates are left for dedupe
+    const mirrors = new Map();
+    const otherOwners = new Map(); // subscription id -> mirror count
+    let pageToken;
+    do {
+        const { data } = await calendar.events.list({
+            calendarId: sub.target_calendar_id,
+            showDeleted: false,
+            singleEvents: false,
+            privateExtendedProperty: ownedQuery(),
+            maxResults: 2500,
+            pageToken,
+        });
+        for (const ev of data.items || []) {
+            const owner = ownerOf(ev);
+            if (!owner?.sourceId) continue;
+            if (owner.subscriptionId !== ownerId) {
+                otherOwners.set(
+                    owner.subscriptionId,
+                    (otherOwners.get(owner.subscriptionId) || 0) + 1
+                );
+                continue;
+            }
+            const prev = mirrors.get(owner.sourceId);
+            if (!prev || (ev.updated || "") > (prev.ev.updated || "")) {
+                mirrors.set(owner.sourceId, { ev, owner });
+            }
+        }
+        pageToken = data.nextPageToken || undefined;
+    } while (pageToken);
+
+    let untagged = { matches: new Map(), ambiguous: 0 };
+    if (matchUntagged) {
+        const taken = new Set([
+            ...mirrors.keys(),
+            ...db
+                .prepare(`SELECT source_id FROM event_mappings WHERE subscription_id=?`)
+                .all(sub.id)
+                .map((r) => r.source_id),
+        ]);
+        // events mapped by any subscription writing to this calendar are spoken for
+        const mappedTargets = new Set(
+            db
+                .prepare(
+                    `SELECT m.target_id FROM event_mappings m
+                     JOIN subscriptions s ON s.id = m.subscription_id
+                     WHERE s.target_calendar_id=?`
+                )
+                .all(sub.target_calendar_id)
+                .map((r) => r.target_id)
+        );
+        untagged = await matchUntaggedMirrors(calendar, sub, taken, mappedTargets);
+    }
+
+    const existing = db.prepare(
+        `SELECT target_id FROM event_mappings WHERE subscription_id=? AND source_id=?`
+    );
+    const upsert = db.prepare(
+        `INSERT INTO event_mappings(subscription_id,source_id,target_id,etag,fingerprint)
+     VALUES(?,?,?,?,?)
+     ON CONFLICT(subscription_id,source_id)
+     DO UPDATE SET target_id=excluded.target_id,
+                   etag=excluded.etag,
+                   fingerprint=excluded.fingerprint`
+    );
+
+    let restored = 0,
+        kept = 0,
+        unstamped = 0;
+
+    db.transaction(() => {
+        for (const [sourceId, { ev, owner }] of mirrors) {
+            const row = existing.get(sub.id, sourceId);
+            if (row && !replace) {
+                kept++;
+                continue;
+            }
+            // Mirrors written before stamping (or tagged with another subscription id,
+            // which is part of the fingerprint) get a NULL fingerprint: the next run
+            // rewrites them once instead of re-creating them.
+            const fingerprint = fromSub ? null : owner.fingerprint;
+            if (!fingerprint) unstamped++;
+            if (!dryRun) {
+                upsert.run(
+                    sub.id,
+                    sourceId,
+                    ev.id,
+                    owner.sourceEtag ?? "",
+                    fingerprint
+                );
+            }
+            restored++;
+        }
+        for (const [sourceId, ev] of untagged.matches) {
+            // no fingerprint: the next run rewrites (and tags) the mirror once
+            if (!dryRun) upsert.run(sub.id, sourceId, ev.id, "", null);
+        }
+    })();
+
+    return {
+        found: mirrors.size,
+        restored,
+        kept,
+        unstamped,
+        otherOwners,
+        claimed: untagged.matches,
+        ambiguous: untagged.ambiguous,
+    };
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const dryRun = args.includes("--dry-run");
+    const replace = args.includes("--replace");
+    const all = args.includes("--all");
+    const matchUntagged = args.includes("--match-untagged");
+    const fromSub = args
+        .find((a) => a.startsWith("--from-sub="))
+        ?.slice("--from-sub=".length);
+    const subId = args.find((a) => !a.startsWith("--"));
+
+    if ((!subId && !all) || (fromSub && all)) {
+        console.error(
+            "Usage:\n  node scripts/recover-mappings.js <SUB_ID>|--all [--dry-run] [--replace] [--match-untagged]\n" +
+                "  node scripts/recover-mappings.js <SUB_ID> --from-sub=<OLD_SUB_ID> [--dry-run] [--replace]\n\n" +
+                "  --replace         overwrite mappings that already exist (default: keep them)\n" +
+                "  --from-sub        adopt mirrors tagged with a subscription id from a lost database\n" +
+                "  --match-untagged  also map untagged mirrors (written before ownership tags) to the\n" +
+                "                    source event with the same start and summary"
+        );
+        process.exit(EXIT.USAGE);
+    }
+
+    const subs = all
+        ? db.prepare(`SELECT * FROM subscriptions`).all()
+        : db.prepare(`SELECT * FROM subscriptions WHERE id=?`).all(subId);
+    if (subs.length === 0) {
+        console.error(
+            all ? "No subscriptions found." : `Subscription not found: ${subId}`
+        );
+        process.exit(all ? EXIT.FAILURE : EXIT.NOT_FOUND);
+    }
+
+    for (const sub of subs) {
+        const r = await recoverSubscription(sub, { dryRun, replace, fromSub, matchUntagged });
+        console.log(
+            `${sub.id} | ${sub.target_calendar_id} | mirrors ${r.found} | ${
+                dryRun ? "would restore" : "restored"
+            } ${r.restored} | kept existing ${r.kept}` +
+                (r.unstamped ? ` | ${r.unstamped} without fingerprint (rewritten once next run)` : "")
+        );
+        if (matchUntagged) {
+            console.log(
+                `   untagged: ${dryRun ? "would claim" : "claimed"} ${r.claimed.size} by start + summary (tagged on the next run)` +
+                    (r.ambiguous ? ` | ${r.ambiguous} ambiguous, left alone` : "")
+            );
+            // a claimed event is managed (updated, later deleted) as a mirror from now on:
+            // name each one so a hand-made copy can be spotted and its mapping removed
+            for (const [sourceId, ev] of r.claimed) {
+                console.log(
+                    `   ⚠️  ${dryRun ? "would claim" : "claimed"} ${ev.id} "${ev.summary ?? ""}" @ ${
+                        ev.start?.dateTime || ev.start?.date
+                    } as the mirror of ${sourceId}`
+                );
+            }
+        }
+        if (r.found === 0 && r.otherOwners.size > 0) {
+            console.log("   Mirrors tagged with other subscription ids in this calendar:");
+            for (const [id, n] of r.otherOwners) {
+                const known = db
+                    .prepare(`SELECT 1 FROM subscriptions WHERE id=?`)
+                    .get(id);
+                console.log(`     ${id}: ${n}${known ? "" : " (unknown — use --from-sub)"}`);
+            }
+        }
+    }
+    if (dryRun) console.log("\n(dry run — nothing was changed)");
+}
+
+main().catch((e) => {
+    console.error(e);
+    process.exit(EXIT.FAILURE);
+});
@@ -0,0 +1,113 @@
+// Per-subscription reminder policies (subscriptions.reminders_json).
+//
+// {
+//   "default": [{ "method": "popup", "minutes": 30 }],
+//   "rules": [
+//     { "when": "summary:exam", "overrides": [{ "method": "email", "minutes": 1440 }] }
+//   ]
+// }
+//
+// The first rule whose `when` filter expression matches the source event wins,
+// otherwise `default` applies; with neither, the source reminders are kept.
+// An empty overrides list means "no reminders at all".
+
+import fs from "fs";
+import { compileFilter } from "./filterExpr.js";
+
+const METHODS = new Set(["popup", "email"]);
+const MAX_OVERRIDES = 5; // Google Calendar limit
+const MAX_MINUTES = 40320; // 4 weeks, Google Calendar limit
+
+function parseOverrides(list, where) {
+    if (!Array.isArray(list)) throw new Error(`${where} must be an array`);
+    if (list.length > MAX_OVERRIDES) {
+        throw new Error(`${where}: at most ${MAX_OVERRIDES} reminders`);
+    }
+    return list.map((o, i) => {
+        const minutes = Number(o?.minutes);
+        if (!METHODS.has(o?.method)) {
+            throw new Error(`${where}[${i}].method must be "popup" or "email"`);
+        }
+        if (!Number.isInteger(minutes) || minutes < 0 || minutes > MAX_MINUTES) {
+            throw new Error(
+                `${where}[${i}].minutes must be an integer 0..${MAX_MINUTES}`
+            );
+        }
+        return { method: o.method, minutes };
+    });
+}
+
+/**
+ * Validate and normalize a reminder policy (JSON string or object).
+ * Returns null for an empty policy; throws on anything malformed.
+ */
+export function parseReminders(raw) {
+    if (raw == null || raw === "") return null;
+    const cfg = typeof raw === "string" ? JSON.parse(raw) : raw;
+    if (typeof cfg !== "object" || Array.isArray(cfg)) {
+        throw new Error("Reminder policy must be a JSON object");
+    }
+    const unknown = Object.keys(cfg).filter(
+        (k) => !["default", "rules"].includes(k)
+    );
+    if (unknown.length) {
+        throw new Error(`Unknown reminder keys: ${unknown.join(", ")}`);
+    }
+
+    const out = {};
+    if (cfg.default != null) out.default = parseOverrides(cfg.default, "default");
+    if (cfg.rules != null) {
+        if (!Array.isArray(cfg.rules)) throw new Error("rules must be an array");
+        out.rules = cfg.rules.map((r, i) => {
+            compileFilter(r?.when); // throws with the syntax error position
+            return {
+                when: r.when,
+                overrides: parseOverrides(r.overrides, `rules[${i}].overrides`),
+            };
+        });
+    }
+    return Object.keys(out).length ? out : null;
+}
+
+/** "popup:30,email:1440" -> [{method,minutes}, ...]; "none" -> []. */
+function parseSpec(spec) {
+    if (spec.trim().toLowerCase() === "none") return [];
+    return spec.split(",").map((part) => {
+        const [method, minutes] = part.trim().split(":");
+        return { method: method?.trim().toLowerCase(), minutes: Number(minutes) };
+    });
+}
+
+/**
+ * CLI helper: `--reminders=<json>`, `--reminders=@file.json` or the shorthand
+ * `--reminders=popup:30,email:1440` (default policy only; `none` = no reminders).
+ * Returns the normalized JSON to store, or null to clear.
+ */
+export function remindersFromArg(arg) {
+    let raw = arg?.startsWith("@") ? fs.readFileSync(arg.slice(1), "utf8") : arg;
+    raw = raw?.trim() || null;
+    if (raw && !raw.startsWith("{")) raw = { default: parseSpec(raw) };
+    const cfg = parseReminders(raw);
+    return cfg ? JSON.stringify(cfg) : null;
+}
+
+/**
+ * Compile a reminder policy into (sourceEv, payload) -> payload.
+ * Returns null when there is nothing to apply.
+ */
+export function compileReminders(raw) {
+    const cfg = parseReminders(raw);
+    if (!cfg) return null;
+
+    const rules = (cfg.rules || []).map((r) => ({
+        match: compileFilter(r.when),
+        overrides: r.overrides,
+    }));
+
+    return (ev, payload) => {
+        const overrides =
+            rules.find((r) => r.match(ev))?.overrides ?? cfg.default;
+        if (!overrides) return payload; // keep the source reminders
+        return { ...payload, reminders: { useDefault: false, overrides } };
+    };
+}
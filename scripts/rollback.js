@@ -0,0 +1,309 @@
+// scripts/rollback.js
+// Undo one sync run of a subscription from the payload snapshots in event_journal:
+// mirrors the run deleted are re-created, mirrors it updated get their previous body
+// back, mirrors it created are deleted, and event_mappings is re-linked to match.
+// The subscription is paused first, so neither the next worker run nor a rollback
+// stopped half-way lets the worker redo the damage.
+//   node scripts/rollback.js <SUB_ID> [--run=<RUN_ID>] [--dry-run]
+import "dotenv/config";
+import Database from "better-sqlite3";
+import { google } from "googleapis";
+import { oauthForTokenKey } from "./worker.js";
+import { withRetries } from "./googleRetry.js";
+import { acquireLease, describeHolder } from "./lease.js";
+import { EXIT } from "./cli.js";
+
+const db = new Database(process.env.DB_PATH || "./sync.db");
+
+// set by Google; must not be sent back when re-creating an event from a snapshot
+const READ_ONLY_FIELDS = [
+    "id",
+    "etag",
+    "kind",
+    "htmlLink",
+    "iCalUID",
+    "created",
+    "updated",
+    "creator",
+    "organizer",
+    "sequence",
+    "status",
+];
+
+function snapshotBody(json) {
+    const body = JSON.parse(json);
+    for (const k of READ_ONLY_FIELDS) delete body[k];
+    return body;
+}
+
+function parseArgs(argv) {
+    const rest = argv.slice(2);
+    let subId;
+    let runId;
+    let dryRun = false;
+    for (let i = 0; i < rest.length; i++) {
+        const a = rest[i];
+        if (a === "--dry-run") dryRun = true;
+        else if (a === "--run") runId = rest[++i];
+        else if (a.startsWith("--run=")) runId = a.slice("--run=".length);
+        else if (!a.startsWith("--") && !subId) subId = a;
+        else return null;
+    }
+    if (!subId || (runId !== undefined && !/^\d+$/.test(runId || ""))) return null;
+    return { subId, runId: runId && Number(runId), dryRun };
+}
+
+function describe(e) {
+    return `${e.summary ?? "(unknown)"} @ ${e.start_at ?? "?"}`;
+}
+
+/** Undo the run; `counts` ({ recreated, restored, removed, skipped }) is updated as it goes. */
+async function rollback(sub, runId, { dryRun, counts }) {
+    const entries = db
+        .prepare(
+            `SELECT * FROM event_journal WHERE subscription_id=? AND run_id=? ORDER BY id DESC`
+        )
+        .all(sub.id, runId);
+
+    const oauth2 = await oauthForTokenKey(sub.token_key);
+    const calendar = withRetries(google.calendar({ version: "v3", auth: oauth2 }));
+    const calendarId = sub.target_calendar_id;
+
+    const mapping = db.prepare(
+        `SELECT * FROM event_mappings WHERE subscription_id=? AND source_id=?`
+    );
+    const relink = db.prepare(
+        `INSERT INTO event_mappings(subscription_id,source_id,target_id,etag,fingerprint,start_at,payload)
+     VALUES(?,?,?,'',?,?,?)
+     ON CONFLICT(subscription_id,source_id)
+     DO UPDATE SET target_id=excluded.target_id,
+                   etag='',
+                   fingerprint=excluded.fingerprint,
+                   start_at=excluded.start_at,
+                   payload=excluded.payload`
+    );
+    const unlink = db.prepare(
+        `DELETE FROM event_mappings WHERE subscription_id=? AND source_id=? AND target_id=?`
+    );
+    const record = db.prepare(
+        `INSERT INTO event_journal(at,run_id,subscription_id,action,reason,source_id,target_id,
+                                   old_fingerprint,new_fingerprint,summary,location,start_at,old_payload)
+     VALUES(?,NULL,?,?,?,?,?,?,?,?,?,?,?)`
+    );
+    // journal what the rollback itself did
+    const note = (action, e, targetId, oldFp, newFp) =>
+        record.run(
+            Date.now(),
+            sub.id,
+            action,
+            `rollback of run ${runId}`,
+            e.source_id,
+            targetId,
+            oldFp,
+            newFp,
+            e.summary,
+            e.location,
+            e.start_at,
+            null
+        );
+
+    const insertFrom = async (e) => {
+        const { data } = await calendar.events.insert({
+            calendarId,
+            requestBody: snapshotBody(e.old_payload),
+        });
+        return data.id;
+    };
+
+    for (const e of entries) {
+        if (e.action === "delete" && e.reason === "dedupe orphan") {
+            // an unmapped duplicate: bringing it back would only duplicate again
+            counts.skipped++;
+            continue;
+        }
+        if (e.action !== "insert" && (!e.old_payload || !e.source_id)) {
+            console.log(`   ! no snapshot, skipped: ${e.action} ${describe(e)}`);
+            counts.skipped++;
+            continue;
+        }
+
+        if (e.action === "insert") {
+            console.log(`   - remove mirror created by the run: ${describe(e)}`);
+            if (!dryRun) {
+                try {
+                    await calendar.events.delete({ calendarId, eventId: e.target_id });
+                } catch (err) {
+                    if (err?.code !== 404 && err?.code !== 410) throw err;
+                }
+                unlink.run(sub.id, e.source_id, e.target_id);
+                note("delete", e, e.target_id, e.new_fingerprint, null);
+            }
+            counts.removed++;
+            continue;
+        }
+
+        if (e.action === "update") {
+            console.log(`   ~ restore previous version: ${describe(e)}`);
+            if (!dryRun) {
+                let targetId = e.target_id;
+                try {
+                    await calendar.events.update({
+                        calendarId,
+                        eventId: targetId,
+                        requestBody: snapshotBody(e.old_payload),
+                    });
+                } catch (err) {
+                    if (err?.code !== 404 && err?.code !== 410) throw err;
+                    targetId = await insertFrom(e); // deleted since: re-create it
+                }
+                relink.run(
+                    sub.id,
+                    e.source_id,
+                    targetId,
+                    e.old_fingerprint,
+                    e.start_at,
+                    e.old_payload
+                );
+                note("update", e, targetId, e.new_fingerprint, e.old_fingerprint);
+            }
+            counts.restored++;
+            continue;
+        }
+
+        // delete → re-create, unless a mirror is mapped again by now
+        const current = mapping.get(sub.id, e.source_id);
+        if (current) {
+            console.log(`   = already mirrored again, skipped: ${describe(e)}`);
+            counts.skipped++;
+            continue;
+        }
+        console.log(`   + re-create deleted mirror: ${describe(e)}`);
+        if (!dryRun) {
+            const targetId = await insertFrom(e);
+            relink.run(
+                sub.id,
+                e.source_id,
+                targetId,
+                e.old_fingerprint,
+                e.start_at,
+                e.old_payload
+            );
+            note("insert", e, targetId, null, e.old_fingerprint);
+        }
+        counts.recreated++;
+    }
+
+    return counts;
+}
+
+async function main() {
+    const args = parseArgs(process.argv);
+    if (!args) {
+        console.error(
+            "Usage: node scripts/rollback.js <SUB_ID> [--run=<RUN_ID>] [--dry-run]\n\n" +
+                "  --run      run to undo (see `npm run status`); default: the latest run that changed something\n" +
+                "  --dry-run  only list what would be undone"
+        );
+        process.exit(EXIT.USAGE);
+    }
+    const { subId, dryRun } = args;
+
+    const sub = db.prepare(`SELECT * FROM subscriptions WHERE id=?`).get(subId);
+    if (!sub) {
+        console.error(`Subscription not found: ${subId}`);
+        process.exit(EXIT.NOT_FOUND);
+    }
+
+    const runId =
+        args.runId ??
+        db
+            .prepare(
+                `SELECT run_id FROM event_journal
+         WHERE subscription_id=? AND run_id IS NOT NULL ORDER BY id DESC LIMIT 1`
+            )
+            .get(sub.id)?.run_id;
+    if (!runId) {
+        console.error("No journaled run to roll back for this subscription.");
+        process.exit(EXIT.NOT_FOUND);
+    }
+    const run = db
+        .prepare(`SELECT * FROM sync_runs WHERE id=? AND subscription_id=?`)
+        .get(runId, sub.id);
+    if (!run) {
+        console.error(`Run ${runId} not found for subscription ${sub.id}.`);
+        process.exit(EXIT.NOT_FOUND);
+    }
+
+    const later = db
+        .prepare(
+            `SELECT COUNT(*) AS n FROM event_journal WHERE subscription_id=? AND run_id>?`
+        )
+        .get(sub.id, runId).n;
+    console.log(
+        `${dryRun ? "Would roll back" : "Rolling back"} run ${runId} of ${sub.id} ` +
+            `(${new Date(run.started_at).toISOString()}, ${run.status})`
+    );
+    if (later > 0) {
+        console.log(
+            `⚠️  ${later} change(s) were made by later runs; they are not undone.`
+        );
+    }
+
+    // keep workers off this subscription while its mirrors are being put back
+    let lease = null;
+    if (!dryRun) {
+        const taken = acquireLease(db, `sub:${sub.id}`);
+        if (!taken.lease) {
+            console.error(
+                `Subscription is being synced by ${describeHolder(taken.holder)} — try again later.`
+            );
+            process.exit(EXIT.FAILURE);
+        }
+        lease = taken.lease;
+    }
+
+    const counts = { recreated: 0, restored: 0, removed: 0, skipped: 0 };
+    const summary = () =>
+        `${dryRun ? "Would re-create" : "Re-created"} ${counts.recreated}, ` +
+        `${dryRun ? "restore" : "restored"} ${counts.restored}, ` +
+        `${dryRun ? "remove" : "removed"} ${counts.removed}, skipped ${counts.skipped}.`;
+    try {
+        if (!dryRun) {
+            // before the first change: a rollback that stops half-way must not be undone
+            // by the next scheduled run
+            db.prepare(`UPDATE subscriptions SET is_enabled=0, updated_at=? WHERE id=?`).run(
+                Date.now(),
+                sub.id
+            );
+        }
+        try {
+            await rollback(sub, runId, { dryRun, counts });
+        } catch (e) {
+            if (dryRun) throw e;
+            console.error(`\n❌ Rollback stopped: ${e?.message || e}`);
+            console.error(`   So far: ${summary()}`);
+            console.error(
+                `⏸️  Subscription paused. Run the rollback again to finish it (steps already done are safe to repeat):\n` +
+                    `   npm run rollback -- ${sub.id} --run=${runId}`
+            );
+            process.exitCode = EXIT.FAILURE;
+            return;
+        }
+        console.log(`\n${summary()}`);
+        if (dryRun) {
+            console.log("(dry run — nothing was changed)");
+            return;
+        }
+        console.log(
+            `⏸️  Subscription paused. Fix its filters, then resume with:\n` +
+                `   npm run update -- ${sub.id} --enable`
+        );
+    } finally {
+        lease?.release();
+    }
+}
+
+main().catch((e) => {
+    console.error(e);
+    process.exit(EXIT.FAILURE);
+});
@@ -0,0 +1,105 @@
+// scripts/rotate-secret.js
+// Re-encrypt every stored token (files, or token_store rows) with the current
+// TOKENSTORE_SECRET. Set the new secret as TOKENSTORE_SECRET and the old one as
+// TOKENSTORE_PREVIOUS_SECRET, run this, then drop TOKENSTORE_PREVIOUS_SECRET once
+// every process runs with the new secret.
+//   node scripts/rotate-secret.js [--verify] [--dry-run]
+import "dotenv/config";
+import { openTokenStore } from "./tokenStore.js";
+import { EXIT } from "./cli.js";
+
+const args = process.argv.slice(2);
+const verifyOnly = args.includes("--verify");
+const dryRun = args.includes("--dry-run");
+if (args.some((a) => a !== "--verify" && a !== "--dry-run")) {
+    console.error(
+        "Usage: node scripts/rotate-secret.js [--verify] [--dry-run]\n\n" +
+            "  --verify   only check that every stored token decrypts, and with which secret\n" +
+            "  --dry-run  list the tokens that would be re-encrypted"
+    );
+    process.exit(EXIT.USAGE);
+}
+
+/** Decrypt every stored token; returns { ok: [{ id, version, key }], bad: [{ id, error }] }. */
+async function verify(store) {
+    const ok = [];
+    const bad = [];
+    for (const id of store.listIds()) {
+        try {
+            ok.push({ id, ...(await store.inspect(id)) });
+        } catch (e) {
+            bad.push({ id, error: e?.message || String(e) });
+        }
+    }
+    return { ok, bad };
+}
+
+function report({ ok, bad }) {
+    for (const f of ok) {
+        console.log(`   ✓ ${f.id}  (v${f.version}, ${f.key} secret)`);
+    }
+    for (const f of bad) console.log(`   ✗ ${f.id}  ${f.error}`);
+}
+
+async function main() {
+    const store = openTokenStore();
+    const { name, location } = store.backend;
+
+    console.log(`🔎 Checking stored tokens in ${location} (${name} store)`);
+    const before = await verify(store);
+    report(before);
+    if (before.ok.length + before.bad.length === 0) {
+        console.log("   (no stored tokens)");
+        return;
+    }
+
+    if (before.bad.length) {
+        console.error(
+            `\n❌ ${before.bad.length} token(s) cannot be decrypted with the configured secrets.` +
+                (process.env.TOKENSTORE_PREVIOUS_SECRET
+                    ? ""
+                    : "\n   Set TOKENSTORE_PREVIOUS_SECRET to the old secret if they were written with it.") +
+                (verifyOnly ? "" : "\n   Nothing was re-encrypted.")
+        );
+        process.exit(EXIT.FAILURE);
+    }
+    if (verifyOnly) {
+        console.log(`\n✅ All ${before.ok.length} token(s) decrypt.`);
+        return;
+    }
+
+    const stale = before.ok.filter((f) => f.key !== "current" || f.version !== 2);
+    if (stale.length === 0) {
+        console.log(`\n✅ All ${before.ok.length} token(s) already use the current secret.`);
+        return;
+    }
+    if (dryRun) {
+        console.log(
+            `\nWould re-encrypt ${stale.length} token(s): ${stale.map((f) => f.id).join(", ")}`
+        );
+        console.log("(dry run — nothing was changed)");
+        return;
+    }
+
+    const n = await store.reencrypt(stale.map((f) => f.id));
+    console.log(`\n🔁 Re-encrypted ${n} token(s) with the current secret.`);
+
+    // read everything back with the current secret only
+    delete process.env.TOKENSTORE_PREVIOUS_SECRET;
+    const after = await verify(openTokenStore());
+    const notCurrent = after.ok.filter((f) => f.key !== "current");
+    if (after.bad.length || notCurrent.length) {
+        console.error("\n❌ Verification failed:");
+        report({ ok: notCurrent, bad: after.bad });
+        process.exit(EXIT.FAILURE);
+    }
+    console.log(
+        `✅ Verified: all ${after.ok.length} token(s) decrypt with TOKENSTORE_SECRET alone.\n` +
+            "   Remove TOKENSTORE_PREVIOUS_SECRET once every worker runs with the new secret."
+    );
+}
+
+main().catch((e) => {
+    console.error(e?.message || e);
+    process.exit(EXIT.FAILURE);
+});
@@ -0,0 +1,172 @@
+// scripts/status.js
+// Recent sync runs per subscription (from sync_runs): last N runs with per-phase
+// counts, the current failure streak and the time since the last successful run.
+// Subscriptions whose profile has to log in again are flagged with the command to do it.
+import "dotenv/config";
+import Database from "better-sqlite3";
+import { reauthState, reconnectCommandFor, tokenStoreOrNull } from "./profiles.js";
+import { EXIT, printJson, usageError } from "./cli.js";
+
+const db = new Database(process.env.DB_PATH || "./sync.db");
+
+const USAGE = "Usage: node scripts/status.js [SUB_ID] [--runs=N] [--json]";
+const args = process.argv.slice(2);
+const subId = args.find((a) => !a.startsWith("--"));
+const runsArg = args.find((a) => a.startsWith("--runs="));
+const json = args.includes("--json");
+const limit = runsArg ? Number(runsArg.slice("--runs=".length)) : 5;
+const unknown = args.find((a) => a.startsWith("--") && a !== "--json" && a !== runsArg);
+if (unknown) usageError(USAGE, `Unknown option: ${unknown}`);
+if (!Number.isInteger(limit) || limit < 0) usageError(USAGE, `Invalid --runs: ${runsArg}`);
+
+function ago(ms) {
+    const s = Math.round((Date.now() - ms) / 1000);
+    if (s < 60) return `${s}s ago`;
+    if (s < 3600) return `${Math.floor(s / 60)}m ago`;
+    if (s < 86400) return `${Math.floor(s / 3600)}h ${Math.floor((s % 3600) / 60)}m ago`;
+    return `${Math.floor(s / 86400)}d ${Math.floor((s % 86400) / 3600)}h ago`;
+}
+
+function stamp(ms) {
+    return new Date(ms).toISOString().replace("T", " ").slice(0, 19);
+}
+
+function duration(ms) {
+    if (ms == null) return "-";
+    return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`;
+}
+
+async function main() {
+    const subs = subId
+        ? db.prepare(`SELECT * FROM subscriptions WHERE id=?`).all(subId)
+        : db.prepare(`SELECT * FROM subscriptions`).all();
+    if (subId && subs.length === 0) {
+        console.error(`Subscription not found: ${subId}`);
+        process.exitCode = EXIT.NOT_FOUND;
+        return;
+    }
+    if (subs.length === 0 && !json) {
+        console.log("No subscriptions found.");
+        return;
+    }
+
+    // reconnect command per profile that needs re-auth (service accounts differ)
+    const reconnect = new Map();
+    const reauthKeys = [...new Set(subs.map((s) => s.token_key))].filter((k) => reauthState(db, k));
+    if (reauthKeys.length) {
+        const store = tokenStoreOrNull({ db });
+        for (const k of reauthKeys) reconnect.set(k, await reconnectCommandFor(store, k));
+    }
+
+    const recentRuns = db.prepare(
+        `SELECT * FROM sync_runs WHERE subscription_id=? ORDER BY started_at DESC, id DESC LIMIT ?`
+    );
+    const lastOk = db.prepare(
+        `SELECT MAX(finished_at) AS at FROM sync_runs WHERE subscription_id=? AND status='ok'`
+    );
+    // runs since the last one that didn't fail
+    const streak = db.prepare(
+        `SELECT COUNT(*) AS n FROM sync_runs
+         WHERE subscription_id=? AND status IN ('error','auth_error')
+           AND started_at > COALESCE(
+             (SELECT MAX(started_at) FROM sync_runs
+              WHERE subscription_id=? AND status IN ('ok','token_expired')), 0)`
+    );
+
+    if (json) {
+        printJson({
+            subscriptions: subs.map((sub) => {
+                const ok = lastOk.get(sub.id).at;
+                const reauth = reauthState(db, sub.token_key);
+                return {
+                    id: sub.id,
+                    label: sub.label,
+                    enabled: !!sub.is_enabled,
+                    lastSuccessAt: ok ? new Date(ok).toISOString() : null,
+                    failureStreak: streak.get(sub.id, sub.id).n,
+                    needsReauth: reauth
+                        ? {
+                              profile: sub.token_key,
+                              reason: reauth.reason,
+                              since: new Date(reauth.since).toISOString(),
+                              reconnect: reconnect.get(sub.token_key),
+                          }
+                        : null,
+                    runs: recentRuns.all(sub.id, limit).map((r) => ({
+                        id: r.id,
+                        startedAt: new Date(r.started_at).toISOString(),
+                        finishedAt: r.finished_at ? new Date(r.finished_at).toISOString() : null,
+                        durationMs: r.duration_ms,
+                        status: r.status,
+                        delta: {
+                            created: r.delta_created,
+                            updated: r.delta_updated,
+                            removed: r.delta_removed,
+                        },
+                        backfill: { created: r.backfill_created, updated: r.backfill_updated },
+                        prune: { removed: r.prune_removed },
+                        dedupe: { removed: r.dedupe_removed },
+                        apiCalls: r.api_calls,
+                        retries: r.retries,
+                        error: r.error,
+                    })),
+                };
+            }),
+        });
+        return;
+    }
+
+    for (const sub of subs) {
+        const ok = lastOk.get(sub.id).at;
+        const failures = streak.get(sub.id, sub.id).n;
+        console.log(
+            `\n${sub.id}${sub.label ? ` (${sub.label})` : ""} | ${sub.is_enabled ? "ENABLED" : "disabled"} | ${
+                sub.source_calendar_id
+            } -> ${sub.target_calendar_id}`
+        );
+        console.log(
+            `   last success: ${ok ? `${ago(ok)} (${stamp(ok)})` : "never"} | failure streak: ${failures}${
+                failures >= 3 ? " ⚠️" : ""
+            }`
+        );
+        const reauth = reauthState(db, sub.token_key);
+        if (reauth) {
+            console.log(
+                `   🔑 profile ${sub.token_key} needs re-authentication (${reauth.reason}, since ${stamp(
+                    reauth.since
+                )}) — runs are skipped. Reconnect with: ${reconnect.get(sub.token_key)}`
+            );
+        }
+
+        const runs = recentRuns.all(sub.id, limit);
+        if (runs.length === 0 && limit > 0) console.log("   (no runs recorded)");
+        for (const r of runs) {
+            const line = `   #${String(r.id).padEnd(5)} ${stamp(r.started_at)}  ${r.status.padEnd(13)} ${duration(
+                r.duration_ms
+            ).padStart(7)}`;
+            if (r.status === "error" || r.status === "auth_error") {
+                console.log(`${line}  ${r.error}`);
+                continue;
+            }
+            if (r.status === "running") {
+                console.log(`${line}  (still running, or the process died)`);
+                continue;
+            }
+            const created = r.delta_created + r.backfill_created;
+            const updated = r.delta_updated + r.backfill_updated;
+            const removed = r.delta_removed + r.prune_removed + r.dedupe_removed;
+            console.log(
+                `${line}  +${created} ~${updated} -${removed}  ` +
+                    `(delta +${r.delta_created}/~${r.delta_updated}/-${r.delta_removed}, ` +
+                    `backfill +${r.backfill_created}/~${r.backfill_updated}, ` +
+                    `prune -${r.prune_removed}, dedupe -${r.dedupe_removed}) ` +
+                    `${r.api_calls} API calls${r.retries ? `, ${r.retries} retries` : ""}`
+            );
+        }
+    }
+}
+
+main().catch((e) => {
+    console.error(e);
+    process.exit(EXIT.FAILURE);
+});
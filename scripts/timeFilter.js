@@ -0,0 +1,160 @@
+// Time-based subscription filters: weekdays, time-of-day window, date range.
+//
+// Stored on the subscriptions row (all optional, NULL = no restriction):
+//   weekdays   "mon,wed,fri"
+//   time_from  "08:00"   ┐ start time of day, inclusive from / exclusive to;
+//   time_to    "18:00"   ┘ from > to wraps midnight (e.g. 22:00-02:00)
+//   date_from  "2025-09-01"  ┐ start date, inclusive on both ends
+//   date_to    "2026-01-31"  ┘
+//
+// Everything is evaluated on the event start in its own time zone. All-day
+// events ({date}) have no time of day and always pass the time window.
+
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+/** "mon, Wednesday,FRI" -> "mon,wed,fri" (week order). Empty -> null. */
+export function parseWeekdays(raw) {
+    const parts = String(raw || "")
+        .split(",")
+        .map((s) => s.trim().toLowerCase())
+        .filter(Boolean);
+    if (parts.length === 0) return null;
+    const days = new Set();
+    for (const p of parts) {
+        const d = WEEKDAYS.find((w) => p.startsWith(w));
+        if (!d) throw new Error(`Unknown weekday: ${p}`);
+        days.add(d);
+    }
+    return WEEKDAYS.filter((d) => days.has(d)).join(",");
+}
+
+function parseClock(raw) {
+    const m = /^(\d{1,2}):(\d{2})$/.exec(raw.trim());
+    const h = Number(m?.[1]);
+    const min = Number(m?.[2]);
+    if (!m || h > 24 || min > 59 || (h === 24 && min > 0)) {
+        throw new Error(`Invalid time of day: ${raw} (expected HH:MM)`);
+    }
+    return `${m[1].padStart(2, "0")}:${m[2]}`;
+}
+
+/** "08:00-18:00" -> { from: "08:00", to: "18:00" }. Empty -> nulls. */
+export function parseTimeRange(raw) {
+    if (!raw) return { from: null, to: null };
+    const [from, to] = String(raw).split("-");
+    if (to === undefined) {
+        throw new Error(`Invalid time range: ${raw} (expected HH:MM-HH:MM)`);
+    }
+    return {
+        from: from.trim() ? parseClock(from) : null,
+        to: to.trim() ? parseClock(to) : null,
+    };
+}
+
+function parseDate(raw) {
+    const s = raw.trim();
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(s) || isNaN(Date.parse(s))) {
+        throw new Error(`Invalid date: ${raw} (expected YYYY-MM-DD)`);
+    }
+    return s;
+}
+
+/** "2025-09-01..2026-01-31" (either side may be empty) -> { from, to }. */
+export function parseDateRange(raw) {
+    if (!raw) return { from: null, to: null };
+    const [from, to] = String(raw).split("..");
+    if (to === undefined) {
+        throw new Error(
+            `Invalid date range: ${raw} (expected YYYY-MM-DD..YYYY-MM-DD)`
+        );
+    }
+    const range = {
+        from: from.trim() ? parseDate(from) : null,
+        to: to.trim() ? parseDate(to) : null,
+    };
+    if (range.from && range.to && range.from > range.to) {
+        throw new Error(`Date range ends before it starts: ${raw}`);
+    }
+    return range;
+}
+
+/** Human-readable summary of a subscription's time filter ("" if none). */
+export function describeTimeFilter(sub) {
+    const parts = [];
+    if (sub.weekdays) parts.push(sub.weekdays);
+    if (sub.time_from || sub.time_to) {
+        parts.push(`${sub.time_from || ""}-${sub.time_to || ""}`);
+    }
+    if (sub.date_from || sub.date_to) {
+        parts.push(`${sub.date_from || ""}..${sub.date_to || ""}`);
+    }
+    return parts.join(" ");
+}
+
+/** Local date, weekday and time of an event start ({date} or {dateTime,timeZone}). */
+function localStart(start) {
+    if (!start) return null;
+    if (start.date) {
+        const d = new Date(`${start.date}T00:00:00Z`);
+        return { date: start.date, weekday: WEEKDAYS[d.getUTCDay()], time: null };
+    }
+    if (!start.dateTime) return null;
+
+    if (start.timeZone) {
+        const parts = Object.fromEntries(
+            new Intl.DateTimeFormat("en-US", {
+                timeZone: start.timeZone,
+                year: "numeric",
+                month: "2-digit",
+                day: "2-digit",
+                weekday: "short",
+                hour: "2-digit",
+                minute: "2-digit",
+                hourCycle: "h23",
+            })
+                .formatToParts(new Date(start.dateTime))
+                .map((p) => [p.type, p.value])
+        );
+        return {
+            date: `${parts.year}-${parts.month}-${parts.day}`,
+            weekday: parts.weekday.toLowerCase(),
+            time: `${parts.hour}:${parts.minute}`,
+        };
+    }
+
+    // no zone: the wall clock written in the RFC3339 string is the local time
+    const m = /^(\d{4}-\d{2}-\d{2})T(\d{2}:\d{2})/.exec(start.dateTime);
+    if (!m) return null;
+    const d = new Date(`${m[1]}T00:00:00Z`);
+    return { date: m[1], weekday: WEEKDAYS[d.getUTCDay()], time: m[2] };
+}
+
+function inTimeWindow(time, from, to) {
+    if (!from && !to) return true;
+    if (from && to && from > to) return time >= from || time < to; // wraps midnight
+    return (!from || time >= from) && (!to || time < to);
+}
+
+/**
+ * Predicate for a subscription's time filter. Events without a usable start
+ * are let through so the text filter alone decides.
+ */
+export function makeTimeFilter(sub) {
+    const weekdays = sub.weekdays ? new Set(sub.weekdays.split(",")) : null;
+    const { time_from, time_to, date_from, date_to } = sub;
+    if (!weekdays && !time_from && !time_to && !date_from && !date_to) {
+        return () => true;
+    }
+
+    return (ev) => {
+        const s = localStart(ev.start);
+        if (!s) return true;
+        if (weekdays && !weekdays.has(s.weekday)) return false;
+        if (date_from && s.date < date_from) return false;
+        if (date_to && s.date > date_to) return false;
+        if (s.time !== null && !inTimeWindow(s.time, time_from, time_to)) {
+            return false;
+        }
+        return true;
+    };
+}
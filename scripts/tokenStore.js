@@ -1,10 +1,19 @@
 // Secure per-user secret store: encrypts JSON payloads, locks file perms (0600), atomic writes.
+// Entries live in TOKENSTORE_DIR (one file per id) or, with TOKENSTORE_BACKEND=sqlite, in
+// the token_store table of sync.db — same encrypted format in both.
 // Requirements:
 //   - process.env.TOKENSTORE_SECRET (>= 32 chars recommended)
+// Optional:
+//   - process.env.TOKENSTORE_PREVIOUS_SECRET: still accepted for reading while files
+//     are re-encrypted with a new TOKENSTORE_SECRET (`npm run rotate-secret`)
+//
+// File format v2 records a key id (`kid`, derived from the secret) so files written
+// with different secrets can coexist; v1 files (no kid) are still read.
 
 import fs from "fs";
 import path from "path";
 import crypto from "crypto";
+import Database from "better-sqlite3";
 
 const ALG = "aes-256-gcm";
 const SALT_BYTES = 16;
@@ -14,7 +23,8 @@ const SCRYPT_R = 8;
 const SCRYPT_P = 1;
 const FILE_MODE = 0o600; // -rw-------
 const DIR_MODE = 0o700; // drwx------
-const VERSION = 1;
+const VERSION = 2;
+const KID_SALT = Buffer.from("tokenstore-kid-v2", "utf8");
 
 /** Derive a 32-byte key from passphrase + salt using scrypt */
 function deriveKey(passphrase, salt) {
@@ -32,6 +42,14 @@ function deriveKey(passphrase, salt) {
     });
 }
 
+/**
+ * Key id of a secret: a short scrypt digest (as slow to brute-force as the files
+ * themselves), so the right secret can be picked without trying each one.
+ */
+async function keyIdOf(passphrase) {
+    return (await deriveKey(passphrase, KID_SALT)).subarray(0, 6).toString("base64url");
+}
+
 /** Ensure directory exists with 0700 (and fix perms if needed) */
 function ensureDirSecure(dir) {
     if (!fs.existsSync(dir)) {
@@ -44,7 +62,32 @@ function ensureDirSecure(dir) {
     }
 }
 
-/** Atomic write: write tmp then rename */
+/** Write `buf` to a new 0600 file and flush it to disk */
+function writeSynced(filePath, buf) {
+    const fd = fs.openSync(filePath, "w", FILE_MODE);
+    try {
+        fs.writeFileSync(fd, buf);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/** Flush a directory's entries (renames) to disk; not supported everywhere */
+function fsyncDir(dir) {
+    try {
+        const fd = fs.openSync(dir, "r");
+        try {
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+    } catch {
+        /* e.g. Windows */
+    }
+}
+
+/** Atomic write: write and fsync tmp, rename, fsync the directory */
 function atomicWrite(filePath, buf) {
     const dir = path.dirname(filePath);
     const tmp = path.join(
@@ -53,7 +96,7 @@ function atomicWrite(filePath, buf) {
             .randomBytes(6)
             .toString("hex")}`
     );
-    fs.writeFileSync(tmp, buf, { mode: FILE_MODE });
+    writeSynced(tmp, buf);
     try {
         fs.chmodSync(tmp, FILE_MODE);
     } catch {}
@@ -61,17 +104,21 @@ function atomicWrite(filePath, buf) {
     try {
         fs.chmodSync(filePath, FILE_MODE);
     } catch {}
+    fsyncDir(dir);
+}
+
+/** Ids are reduced to [a-zA-Z0-9._-] (no path traversal), the same in every backend */
+function safeId(id) {
+    return String(id).replace(/[^a-zA-Z0-9._-]/g, "_");
 }
 
 /** Build safe file path for an id */
 function fileFor(storeDir, id) {
-    // Basic sanitization to avoid path traversal
-    const safe = String(id).replace(/[^a-zA-Z0-9._-]/g, "_");
-    return path.join(storeDir, `${safe}.json`);
+    return path.join(storeDir, `${safeId(id)}.json`);
 }
 
-/** Encrypt a JS object -> Buffer (JSON) */
-async function encrypt(passphrase, dataObj) {
+/** Encrypt a JS object -> Buffer (JSON, v2 with the key id) */
+async function encrypt({ secret: passphrase, kid }, dataObj) {
     const salt = crypto.randomBytes(SALT_BYTES);
     const key = await deriveKey(passphrase, salt);
     const nonce = crypto.randomBytes(NONCE_BYTES);
@@ -86,6 +133,7 @@ async function encrypt(passphrase, dataObj) {
 
     const payload = {
         v: VERSION,
+        kid,
         alg: ALG,
         salt: salt.toString("base64"),
         nonce: nonce.toString("base64"),
@@ -95,11 +143,35 @@ async function encrypt(passphrase, dataObj) {
     return Buffer.from(JSON.stringify(payload), "utf8");
 }
 
-/** Decrypt Buffer(JSON) -> JS object */
-async function decrypt(passphrase, buf) {
+/**
+ * Pick the key for a parsed file: v2 by key id, v1 (no kid) by trying each key.
+ * Returns the candidate keys in order.
+ */
+function keysFor(payload, keys) {
+    if (payload.v === 1) return keys;
+    if (payload.v === VERSION) return keys.filter((k) => k.kid === payload.kid);
+    throw new Error(`Unsupported token file version: ${payload.v}`);
+}
+
+/** Decrypt Buffer(JSON) -> { data, key } with the first of `keys` that fits */
+async function decrypt(keys, buf) {
     const payload = JSON.parse(buf.toString("utf8"));
-    if (payload.v !== VERSION)
-        throw new Error("Unsupported token file version");
+    const candidates = keysFor(payload, keys);
+    if (candidates.length === 0) {
+        throw new Error(`Encrypted with an unknown key (kid=${payload.kid})`);
+    }
+    let lastErr;
+    for (const key of candidates) {
+        try {
+            return { data: await decryptWith(key.secret, payload), key };
+        } catch (e) {
+            lastErr = e;
+        }
+    }
+    throw new Error(`Cannot decrypt (wrong secret or corrupted file): ${lastErr.message}`);
+}
+
+async function decryptWith(passphrase, payload) {
     const salt = Buffer.from(payload.salt, "base64");
     const nonce = Buffer.from(payload.nonce, "base64");
     const ct = Buffer.from(payload.ct, "base64");
@@ -112,62 +184,229 @@ async function decrypt(passphrase, buf) {
     return JSON.parse(plaintext.toString("utf8"));
 }
 
+/* -------------------- backends -------------------- */
+// A backend keeps the encrypted blobs by id; encryption lives in createTokenStore.
+
+/** One 0600 JSON file per id in `storeDir` (a 0700 directory). */
+export function fileBackend(storeDir = "./secure_tokens") {
+    ensureDirSecure(storeDir);
+    return {
+        name: "file",
+        location: storeDir,
+
+        read(id) {
+            const file = fileFor(storeDir, id);
+            return fs.existsSync(file) ? fs.readFileSync(file) : null;
+        },
+
+        write(id, buf) {
+            atomicWrite(fileFor(storeDir, id), buf);
+        },
+
+        /**
+         * Write several ids: all are staged to fsynced temp files first (a failure there
+         * changes nothing), then renamed one by one and the directory fsynced. Each file
+         * is replaced atomically, the set is not: a crash during the renames leaves some
+         * ids old and some new — so rotations keep the old secret configured until
+         * `rotate-secret --verify` passes.
+         */
+        writeAll(entries) {
+            const staged = [];
+            try {
+                for (const { id, buf } of entries) {
+                    const file = fileFor(storeDir, id);
+                    const tmp = `${file}.stage-${crypto.randomBytes(6).toString("hex")}`;
+                    staged.push({ tmp, file });
+                    writeSynced(tmp, buf);
+                }
+            } catch (e) {
+                for (const { tmp } of staged) fs.rmSync(tmp, { force: true });
+                throw e;
+            }
+            for (const { tmp, file } of staged) fs.renameSync(tmp, file);
+            fsyncDir(storeDir);
+        },
+
+        remove(id) {
+            fs.rmSync(fileFor(storeDir, id), { force: true });
+        },
+
+        list() {
+            return fs
+                .readdirSync(storeDir, { withFileTypes: true })
+                .filter((d) => d.isFile() && d.name.endsWith(".json"))
+                .map((d) => d.name.replace(/\.json$/, ""));
+        },
+
+        harden() {
+            ensureDirSecure(storeDir);
+            for (const name of fs.readdirSync(storeDir)) {
+                const p = path.join(storeDir, name);
+                try {
+                    fs.chmodSync(p, FILE_MODE);
+                } catch {}
+            }
+        },
+    };
+}
+
+/** Rows of the token_store table (migration v14) in an open better-sqlite3 database. */
+export function sqliteBackend(db) {
+    const table = db
+        .prepare(`SELECT 1 FROM sqlite_master WHERE type='table' AND name='token_store'`)
+        .get();
+    if (!table) {
+        throw new Error(`No token_store table in ${db.name} — run \`npm run migrate\` first.`);
+    }
+    const upsert = db.prepare(
+        `INSERT INTO token_store(id,blob,updated_at) VALUES(?,?,?)
+     ON CONFLICT(id) DO UPDATE SET blob=excluded.blob, updated_at=excluded.updated_at`
+    );
+    const write = (id, buf) => upsert.run(safeId(id), buf.toString("utf8"), Date.now());
+
+    return {
+        name: "sqlite",
+        location: db.name,
+
+        read(id) {
+            const row = db.prepare(`SELECT blob FROM token_store WHERE id=?`).get(safeId(id));
+            return row ? Buffer.from(row.blob, "utf8") : null;
+        },
+
+        write,
+
+        /** Write several ids in one transaction. */
+        writeAll(entries) {
+            db.transaction(() => {
+                for (const { id, buf } of entries) write(id, buf);
+            })();
+        },
+
+        remove(id) {
+            db.prepare(`DELETE FROM token_store WHERE id=?`).run(safeId(id));
+        },
+
+        list() {
+            return db
+                .prepare(`SELECT id FROM token_store ORDER BY id`)
+                .all()
+                .map((r) => r.id);
+        },
+
+        // file permissions of the database are up to whoever manages sync.db
+        harden() {},
+    };
+}
+
 /**
- * Initialize a store in `storeDir`.
- * Ensures directory and returns a small API for save/load/list/remove.
+ * The backend chosen by TOKENSTORE_BACKEND: "file" (default, TOKENSTORE_DIR) or
+ * "sqlite" (the token_store table in DB_PATH, or in `db` when given).
  */
-export function createTokenStore(storeDir = "./secure_tokens") {
+export function configuredBackend({ db } = {}) {
+    const kind = process.env.TOKENSTORE_BACKEND || "file";
+    if (kind === "file") {
+        return fileBackend(process.env.TOKENSTORE_DIR || "./secure_tokens");
+    }
+    if (kind === "sqlite") {
+        return sqliteBackend(db || new Database(process.env.DB_PATH || "./sync.db"));
+    }
+    throw new Error(`Unknown TOKENSTORE_BACKEND: ${kind} (expected "file" or "sqlite")`);
+}
+
+/* -------------------- store -------------------- */
+
+/**
+ * Initialize a store on `backend` (a directory path means the file backend).
+ * Returns a small API for save/load/list/remove.
+ */
+export function createTokenStore(backend = "./secure_tokens") {
     const secret = process.env.TOKENSTORE_SECRET;
     if (!secret || secret.length < 16) {
         throw new Error(
             "TOKENSTORE_SECRET missing or too short. Set a strong secret in env."
         );
     }
-    ensureDirSecure(storeDir);
+    const previous = process.env.TOKENSTORE_PREVIOUS_SECRET;
+    if (typeof backend === "string") backend = fileBackend(backend);
+
+    // [current, previous?] with their key ids, derived once on first use
+    let keyring = null;
+    const keys = () =>
+        (keyring ??= Promise.all(
+            [
+                { name: "current", secret },
+                previous && previous !== secret && { name: "previous", secret: previous },
+            ]
+                .filter(Boolean)
+                .map(async (k) => ({ ...k, kid: await keyIdOf(k.secret) }))
+        ));
 
     return {
+        backend,
+
         /** Save (encrypt) a payload under id. Payload can be any JSON-serializable object. */
         async save(id, payload) {
-            const file = fileFor(storeDir, id);
-            const enc = await encrypt(secret, payload);
-            atomicWrite(file, enc);
+            const [current] = await keys();
+            backend.write(id, await encrypt(current, payload));
             return true;
         },
 
         /** Load (decrypt) payload by id. Returns null if not found. */
         async load(id) {
-            const file = fileFor(storeDir, id);
-            if (!fs.existsSync(file)) return null;
-            const buf = fs.readFileSync(file);
-            return await decrypt(secret, buf);
+            const buf = backend.read(id);
+            if (!buf) return null;
+            return (await decrypt(await keys(), buf)).data;
+        },
+
+        /**
+         * Which key a stored entry needs: { version, key: "current" | "previous" }.
+         * Throws when no configured secret decrypts it; null if not found.
+         */
+        async inspect(id) {
+            const buf = backend.read(id);
+            if (!buf) return null;
+            const { key } = await decrypt(await keys(), buf);
+            return { version: JSON.parse(buf.toString("utf8")).v, key: key.name };
+        },
+
+        /**
+         * Re-encrypt the given ids with the current secret. Everything is decrypted
+         * and re-encrypted before the backend writes any of it (see writeAll), so an
+         * entry that cannot be read leaves the whole store untouched.
+         */
+        async reencrypt(ids) {
+            const [current] = await keys();
+            const entries = [];
+            for (const id of ids) {
+                const { data } = await decrypt(await keys(), backend.read(id)).catch((e) => {
+                    throw new Error(`${id}: ${e.message}`);
+                });
+                entries.push({ id, buf: await encrypt(current, data) });
+            }
+            backend.writeAll(entries);
+            return entries.length;
         },
 
         /** Remove a stored secret by id (if exists). */
         remove(id) {
-            const file = fileFor(storeDir, id);
-            if (fs.existsSync(file)) fs.rmSync(file, { force: true });
+            backend.remove(id);
             return true;
         },
 
         /** List all ids present in the store. */
         listIds() {
-            const files = fs
-                .readdirSync(storeDir, { withFileTypes: true })
-                .filter((d) => d.isFile() && d.name.endsWith(".json"))
-                .map((d) => d.name.replace(/\.json$/, ""));
-            return files;
+            return backend.list();
         },
 
         /** Tighten permissions again (useful after moves/backups). */
         harden() {
-            ensureDirSecure(storeDir);
-            for (const name of fs.readdirSync(storeDir)) {
-                const p = path.join(storeDir, name);
-                try {
-                    fs.chmodSync(p, FILE_MODE);
-                } catch {}
-            }
+            backend.harden();
             return true;
         },
     };
 }
+
+/** Store on the configured backend (see configuredBackend). */
+export function openTokenStore(opts) {
+    return createTokenStore(configuredBackend(opts));
+}
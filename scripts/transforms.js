@@ -0,0 +1,145 @@
+// Per-subscription payload transforms (subscriptions.transform_json).
+//
+// {
+//   "summaryTemplate": "[ML] {summary}",
+//   "rename": [{ "pattern": "^Cours\\s+", "flags": "i", "replace": "" }],
+//   "colors": [
+//     { "when": "summary:/exam/", "colorId": "11" },
+//     { "when": "summary:TD", "colorId": "9" }
+//   ],
+//   "footer": "Source: {htmlLink}"
+// }
+//
+// - rename rules run in order on the source summary, then summaryTemplate is applied
+// - colors: first rule whose `when` filter expression matches the source event wins
+// - footer: appended to the description; `true` uses DEFAULT_FOOTER
+// Templates may use {summary} {description} {location} {htmlLink} {organizer}.
+
+import fs from "fs";
+import { compileFilter } from "./filterExpr.js";
+
+const DEFAULT_FOOTER = "Mirrored from: {htmlLink}";
+const COLOR_IDS = new Set(
+    Array.from({ length: 11 }, (_, i) => String(i + 1)) // Google event colors 1..11
+);
+
+function fillTemplate(template, vars) {
+    return template.replace(/\{(\w+)\}/g, (m, k) =>
+        k in vars ? vars[k] ?? "" : m
+    );
+}
+
+/**
+ * Validate and normalize a transform config (JSON string or object).
+ * Returns null for an empty config; throws on anything malformed.
+ */
+export function parseTransform(raw) {
+    if (raw == null || raw === "") return null;
+    const cfg = typeof raw === "string" ? JSON.parse(raw) : raw;
+    if (typeof cfg !== "object" || Array.isArray(cfg)) {
+        throw new Error("Transform must be a JSON object");
+    }
+
+    const out = {};
+    if (cfg.summaryTemplate != null) {
+        if (typeof cfg.summaryTemplate !== "string") {
+            throw new Error("summaryTemplate must be a string");
+        }
+        out.summaryTemplate = cfg.summaryTemplate;
+    }
+    if (cfg.rename != null) {
+        if (!Array.isArray(cfg.rename)) throw new Error("rename must be an array");
+        out.rename = cfg.rename.map((r, i) => {
+            if (typeof r?.pattern !== "string") {
+                throw new Error(`rename[${i}].pattern must be a string`);
+            }
+            new RegExp(r.pattern, r.flags ?? "g"); // throws on a bad pattern
+            return {
+                pattern: r.pattern,
+                flags: r.flags ?? "g",
+                replace: String(r.replace ?? ""),
+            };
+        });
+    }
+    if (cfg.colors != null) {
+        if (!Array.isArray(cfg.colors)) throw new Error("colors must be an array");
+        out.colors = cfg.colors.map((c, i) => {
+            const colorId = String(c?.colorId ?? "");
+            if (!COLOR_IDS.has(colorId)) {
+                throw new Error(`colors[${i}].colorId must be "1".."11"`);
+            }
+            compileFilter(c.when); // throws with the syntax error position
+            return { when: c.when, colorId };
+        });
+    }
+    if (cfg.footer != null && cfg.footer !== false) {
+        if (cfg.footer !== true && typeof cfg.footer !== "string") {
+            throw new Error("footer must be true or a template string");
+        }
+        out.footer = cfg.footer === true ? DEFAULT_FOOTER : cfg.footer;
+    }
+    const unknown = Object.keys(cfg).filter(
+        (k) => !["summaryTemplate", "rename", "colors", "footer"].includes(k)
+    );
+    if (unknown.length) {
+        throw new Error(`Unknown transform keys: ${unknown.join(", ")}`);
+    }
+    return Object.keys(out).length ? out : null;
+}
+
+/**
+ * CLI helper: `--transform=<json>` or `--transform=@file.json`.
+ * Returns the normalized JSON to store, or null to clear.
+ */
+export function transformFromArg(arg) {
+    const raw = arg?.startsWith("@") ? fs.readFileSync(arg.slice(1), "utf8") : arg;
+    const cfg = parseTransform(raw?.trim() || null);
+    return cfg ? JSON.stringify(cfg) : null;
+}
+
+/**
+ * Compile a transform config into (sourceEv, payload) -> payload.
+ * Returns null when there is nothing to apply.
+ */
+export function compileTransform(raw) {
+    const cfg = parseTransform(raw);
+    if (!cfg) return null;
+
+    const rename = (cfg.rename || []).map((r) => ({
+        re: new RegExp(r.pattern, r.flags),
+        replace: r.replace,
+    }));
+    const colors = (cfg.colors || []).map((c) => ({
+        match: compileFilter(c.when),
+        colorId: c.colorId,
+    }));
+
+    return (ev, payload) => {
+        const out = { ...payload };
+        const vars = {
+            summary: ev.summary ?? "",
+            description: ev.description ?? "",
+            location: ev.location ?? "",
+            htmlLink: ev.htmlLink ?? "",
+            organizer: ev.organizer?.displayName || ev.organizer?.email || "",
+        };
+
+        let summary = vars.summary;
+        for (const r of rename) summary = summary.replace(r.re, r.replace);
+        if (cfg.summaryTemplate) {
+            summary = fillTemplate(cfg.summaryTemplate, { ...vars, summary });
+        }
+        if (rename.length || cfg.summaryTemplate) out.summary = summary.trim();
+
+        const color = colors.find((c) => c.match(ev));
+        if (color) out.colorId = color.colorId;
+
+        if (cfg.footer) {
+            const footer = fillTemplate(cfg.footer, vars);
+            out.description = out.description
+                ? `${out.description}\n\n${footer}`
+                : footer;
+        }
+        return out;
+    };
+}
@@ -3,6 +3,16 @@ import "dotenv/config";
 import Database from "better-sqlite3";
 import readline from "readline/promises";
 import { stdin as input, stdout as output } from "node:process";
+import { compileFilter } from "./filterExpr.js";
+import {
+    parseWeekdays,
+    parseTimeRange,
+    parseDateRange,
+    describeTimeFilter,
+} from "./timeFilter.js";
+import { transformFromArg } from "./transforms.js";
+import { remindersFromArg } from "./reminders.js";
+import { EXIT, subscriptionLine, usageError } from "./cli.js";
 
 const db = new Database(process.env.DB_PATH || "./sync.db");
 
@@ -40,7 +50,7 @@ function uniquePreserveOrder(arr) {
 function getSub(id) {
     return db
         .prepare(
-            `SELECT id, is_enabled, token_key, source_calendar_id, target_calendar_id, filter_type, filters_raw
+            `SELECT id, is_enabled, token_key, source_calendar_id, target_calendar_id, filter_type, filters_raw, label
        FROM subscriptions WHERE id=?`
         )
         .get(id);
@@ -49,7 +59,7 @@ function getSub(id) {
 function listSubs() {
     return db
         .prepare(
-            `SELECT id, is_enabled, token_key, source_calendar_id, target_calendar_id, filter_type, filters_raw
+            `SELECT id, is_enabled, token_key, source_calendar_id, target_calendar_id, filter_type, filters_raw, label
        FROM subscriptions
        ORDER BY updated_at DESC`
         )
@@ -65,6 +75,102 @@ function saveFilters({ subId, filterType, filtersRaw }) {
     return getSub(subId);
 }
 
+/** Interval/jitter in seconds; "" or "default" resets to the worker default. */
+function parseSeconds(raw, name) {
+    if (raw === "" || raw === "default") return null;
+    const n = Number(raw);
+    if (!Number.isInteger(n) || n < 0) {
+        throw new Error(`${name} must be a whole number of seconds`);
+    }
+    return n;
+}
+
+function saveSchedule({ subId, interval, jitter }) {
+    if (!getSub(subId)) throw new Error("Subscription not found");
+    if (interval !== undefined) {
+        db.prepare(
+            `UPDATE subscriptions SET sync_interval_sec=?, updated_at=? WHERE id=?`
+        ).run(interval, Date.now(), subId);
+    }
+    if (jitter !== undefined) {
+        db.prepare(
+            `UPDATE subscriptions SET sync_jitter_sec=?, updated_at=? WHERE id=?`
+        ).run(jitter, Date.now(), subId);
+    }
+    return db
+        .prepare(
+            `SELECT id, sync_interval_sec, sync_jitter_sec FROM subscriptions WHERE id=?`
+        )
+        .get(subId);
+}
+
+/** Only the options given are changed; an empty value clears that part. */
+function saveTimeFilter({ subId, options }) {
+    if (!getSub(subId)) throw new Error("Subscription not found");
+    const patch = {};
+    if (options.has("--weekdays")) {
+        patch.weekdays = parseWeekdays(options.get("--weekdays"));
+    }
+    if (options.has("--time")) {
+        const t = parseTimeRange(options.get("--time"));
+        patch.time_from = t.from;
+        patch.time_to = t.to;
+    }
+    if (options.has("--dates")) {
+        const d = parseDateRange(options.get("--dates"));
+        patch.date_from = d.from;
+        patch.date_to = d.to;
+    }
+    for (const [col, value] of Object.entries(patch)) {
+        db.prepare(
+            `UPDATE subscriptions SET ${col}=?, updated_at=? WHERE id=?`
+        ).run(value, Date.now(), subId);
+    }
+    return db
+        .prepare(
+            `SELECT id, weekdays, time_from, time_to, date_from, date_to FROM subscriptions WHERE id=?`
+        )
+        .get(subId);
+}
+
+function saveTransform({ subId, transformJson }) {
+    if (!getSub(subId)) throw new Error("Subscription not found");
+    db.prepare(
+        `UPDATE subscriptions SET transform_json=?, updated_at=? WHERE id=?`
+    ).run(transformJson, Date.now(), subId);
+}
+
+function saveReminders({ subId, remindersJson }) {
+    if (!getSub(subId)) throw new Error("Subscription not found");
+    db.prepare(
+        `UPDATE subscriptions SET reminders_json=?, updated_at=? WHERE id=?`
+    ).run(remindersJson, Date.now(), subId);
+}
+
+function saveLabel({ subId, label }) {
+    if (!getSub(subId)) throw new Error("Subscription not found");
+    db.prepare(
+        `UPDATE subscriptions SET label=?, updated_at=? WHERE id=?`
+    ).run(label, Date.now(), subId);
+}
+
+function setEnabled({ subId, enabled }) {
+    if (!getSub(subId)) throw new Error("Subscription not found");
+    try {
+        db.prepare(
+            `UPDATE subscriptions SET is_enabled=?, updated_at=? WHERE id=?`
+        ).run(enabled ? 1 : 0, Date.now(), subId);
+    } catch (e) {
+        // ux_sub_unique: one enabled subscription per (profile, source, target)
+        if (e?.code === "SQLITE_CONSTRAINT_UNIQUE") {
+            throw new Error(
+                "Another enabled subscription already mirrors this source into this target."
+            );
+        }
+        throw e;
+    }
+}
+
 function clearSyncToken(subId) {
     db.prepare(
         `UPDATE subscription_state
@@ -79,9 +185,23 @@ function wipeMappings(subId) {
 
 /* ------------- core ops for argv mode ------------- */
 
+/** Regex filters are matched case-insensitively, as in add-subscription.js. */
+function checkRegex(raw) {
+    try {
+        new RegExp(raw, "i");
+    } catch (e) {
+        throw new Error(`Invalid regex: ${e.message}`);
+    }
+}
+
 function doReplace({ subId, filterType, values }) {
-    if (filterType === "regex") {
+    if (filterType === "expr") {
+        const filtersRaw = values.join(" ");
+        compileFilter(filtersRaw); // throws with the position of a syntax error
+        return saveFilters({ subId, filterType, filtersRaw });
+    } else if (filterType === "regex") {
         const filtersRaw = values.join(" ");
+        checkRegex(filtersRaw);
         return saveFilters({ subId, filterType, filtersRaw });
     } else {
         const list = uniquePreserveOrder(values); // keywords
@@ -93,9 +213,9 @@ function doReplace({ subId, filterType, values }) {
 function doAppend({ subId, values }) {
     const sub = getSub(subId);
     if (!sub) throw new Error("Subscription not found");
-    if (sub.filter_type === "regex") {
+    if (sub.filter_type !== "keywords") {
         throw new Error(
-            "Cannot --append when filter type is regex. Use replace or switch to keywords."
+            `Cannot --append when filter type is ${sub.filter_type}. Use replace or switch to keywords.`
         );
     }
     const existing = splitKeywords(sub.filters_raw);
@@ -107,9 +227,9 @@ function doAppend({ subId, values }) {
 function doRemove({ subId, removeValues }) {
     const sub = getSub(subId);
     if (!sub) throw new Error("Subscription not found");
-    if (sub.filter_type === "regex") {
+    if (sub.filter_type !== "keywords") {
         throw new Error(
-            "Cannot --remove on a regex subscription. Edit the regex instead."
+            `Cannot --remove on a ${sub.filter_type} subscription. Edit the ${sub.filter_type} instead.`
         );
     }
     const existing = splitKeywords(sub.filters_raw);
@@ -124,18 +244,71 @@ function doRemove({ subId, removeValues }) {
 
 /* ---------------- argv parsing ---------------- */
 
+const USAGE =
+    "Usage:\n" +
+    "  node scripts/update-subscription-courses.js <SUB_ID> [--append] [--remove] [--regex|--expr] [--resync] <values...>\n" +
+    "  node scripts/update-subscription-courses.js <SUB_ID> [--interval=<sec>] [--jitter=<sec>]\n" +
+    "  node scripts/update-subscription-courses.js <SUB_ID> [--weekdays=mon,tue] [--time=HH:MM-HH:MM] [--dates=YYYY-MM-DD..YYYY-MM-DD]\n" +
+    "  node scripts/update-subscription-courses.js <SUB_ID> [--transform=<json|@file>]\n" +
+    "  node scripts/update-subscription-courses.js <SUB_ID> [--reminders=<popup:30,...|none|json|@file>]\n" +
+    "  node scripts/update-subscription-courses.js <SUB_ID> --enable|--disable\n" +
+    "  node scripts/update-subscription-courses.js <SUB_ID> --label=<name>\n\n" +
+    "Examples:\n" +
+    "  # Replace with keywords:\n" +
+    "  node scripts/update-subscription-courses.js 1234 'Optimal transport' 'Convex optimization'\n\n" +
+    "  # Append keywords:\n" +
+    "  node scripts/update-subscription-courses.js 1234 --append 'Reinforcement Learning'\n\n" +
+    "  # Remove keywords (case/accents-insensitive):\n" +
+    "  node scripts/update-subscription-courses.js 1234 --remove 'Optimal transport' 'Convex optimization'\n\n" +
+    "  # Replace with a regex:\n" +
+    "  node scripts/update-subscription-courses.js 1234 --regex '(Optimal Transport|Convex optimization)'\n\n" +
+    "  # Replace with a filter expression:\n" +
+    "  node scripts/update-subscription-courses.js 1234 --expr 'summary:\"Convex optimization\" AND NOT summary:Exam'\n\n" +
+    "  # Sync every 5 minutes (±30s) in daemon mode:\n" +
+    "  node scripts/update-subscription-courses.js 1234 --interval=300 --jitter=30\n\n" +
+    "  # Only weekday mornings during the semester (empty value clears):\n" +
+    "  node scripts/update-subscription-courses.js 1234 --weekdays=mon,tue,wed,thu,fri --time=08:00-13:00 --dates=2025-09-01..2026-01-31\n\n" +
+    "  # Prefix titles and color exams red (empty value clears):\n" +
+    "  node scripts/update-subscription-courses.js 1234 --transform='{\"summaryTemplate\":\"[ML] {summary}\",\"colors\":[{\"when\":\"summary:exam\",\"colorId\":\"11\"}]}'\n\n" +
+    "  # 30 min popup for everything, 1 day email for exams (empty value = keep source reminders):\n" +
+    "  node scripts/update-subscription-courses.js 1234 --reminders='{\"default\":[{\"method\":\"popup\",\"minutes\":30}],\"rules\":[{\"when\":\"summary:exam\",\"overrides\":[{\"method\":\"email\",\"minutes\":1440}]}]}'";
+
+const VALUE_OPTIONS = ["--interval", "--jitter", "--weekdays", "--time", "--dates", "--transform", "--reminders", "--label"];
+const FLAGS = ["--append", "--remove", "--regex", "--expr", "--resync", "--enable", "--disable"];
+
 function parseArgs(argv) {
     // argv: [node, script, ...]
     const rest = argv.slice(2);
     const flags = new Set();
+    const options = new Map(); // --key=value
     const positionals = [];
     for (const t of rest) {
-        if (t.startsWith("--")) flags.add(t);
+        if (t.startsWith("--") && t.includes("=")) {
+            const eq = t.indexOf("=");
+            options.set(t.slice(0, eq), t.slice(eq + 1));
+        } else if (t.startsWith("--")) flags.add(t);
         else positionals.push(t);
     }
     const subId = positionals.shift();
     const values = positionals; // remaining are values (keywords or regex parts)
-    return { subId, values, flags };
+    return { subId, values, flags, options };
+}
+
+/** Parse every value given before anything is saved; throws on the first bad one. */
+function checkArgs({ values, flags, options }) {
+    if (options.has("--interval")) parseSeconds(options.get("--interval"), "--interval");
+    if (options.has("--jitter")) parseSeconds(options.get("--jitter"), "--jitter");
+    if (options.has("--weekdays")) parseWeekdays(options.get("--weekdays"));
+    if (options.has("--time")) parseTimeRange(options.get("--time"));
+    if (options.has("--dates")) parseDateRange(options.get("--dates"));
+    if (options.has("--transform")) transformFromArg(options.get("--transform"));
+    if (options.has("--reminders")) remindersFromArg(options.get("--reminders"));
+    if (values.length > 0 && flags.has("--regex")) checkRegex(values.join(" "));
+    if (values.length > 0 && flags.has("--expr")) compileFilter(values.join(" "));
+}
+
+function hasTimeOptions(options) {
+    return ["--weekdays", "--time", "--dates"].some((k) => options.has(k));
 }
 
 /* ---------------- interactive flow ---------------- */
@@ -149,21 +322,13 @@ async function interactive() {
             process.exit(0);
         }
         console.log("Subscriptions:");
-        subs.forEach((s, i) => {
-            console.log(
-                `${i + 1}. ${s.id} | ${
-                    s.is_enabled ? "ENABLED" : "disabled"
-                } | ${s.token_key} | ${s.source_calendar_id} -> ${
-                    s.target_calendar_id
-                } | ${s.filter_type} | ${s.filters_raw}`
-            );
-        });
+        subs.forEach((s, i) => console.log(`${i + 1}. ${subscriptionLine(s)}`));
 
         const idxStr = await rl.question("\nPick a subscription number: ");
         const idx = Number(idxStr);
         if (!idx || idx < 1 || idx > subs.length) {
             console.error("Invalid selection.");
-            process.exit(1);
+            process.exit(EXIT.USAGE);
         }
         const sub = subs[idx - 1];
 
@@ -177,10 +342,13 @@ async function interactive() {
         let updated;
         if (op === "1") {
             const mode = await rl.question(
-                "Filter mode? (k=keywords, r=regex) [k]: "
+                "Filter mode? (k=keywords, r=regex, e=expression) [k]: "
             );
-            const filterType = (mode || "k").toLowerCase().startsWith("r")
+            const m = (mode || "k").toLowerCase();
+            const filterType = m.startsWith("r")
                 ? "regex"
+                : m.startsWith("e")
+                ? "expr"
                 : "keywords";
             let values = [];
             if (filterType === "keywords") {
@@ -189,6 +357,12 @@ async function interactive() {
                 );
                 const raw = await rl.question("New keywords: ");
                 values = splitKeywords(raw);
+            } else if (filterType === "expr") {
+                console.log(
+                    'Enter a filter expression. Example: summary:"Convex optimization" AND NOT location:"Online" OR summary:/TD\\s+\\d+/'
+                );
+                const raw = await rl.question("Expression: ");
+                values = [raw];
             } else {
                 console.log(
                     "Enter a single regex (case-insensitive). Example: (Optimal Transport|Convex optimization)"
@@ -198,11 +372,11 @@ async function interactive() {
             }
             updated = doReplace({ subId: sub.id, filterType, values });
         } else if (op === "2") {
-            if (sub.filter_type === "regex") {
+            if (sub.filter_type !== "keywords") {
                 console.log(
-                    "Current mode is regex; cannot append keywords. Use Replace to switch to keywords."
+                    `Current mode is ${sub.filter_type}; cannot append keywords. Use Replace to switch to keywords.`
                 );
-                process.exit(1);
+                process.exit(EXIT.FAILURE);
             }
             console.log(
                 `Current keywords:\n  ${
@@ -217,11 +391,11 @@ async function interactive() {
             const values = splitKeywords(raw);
             updated = doAppend({ subId: sub.id, values });
         } else if (op === "3") {
-            if (sub.filter_type === "regex") {
+            if (sub.filter_type !== "keywords") {
                 console.log(
-                    "Current mode is regex; cannot remove keywords. Edit the regex in Replace."
+                    `Current mode is ${sub.filter_type}; cannot remove keywords. Edit the ${sub.filter_type} in Replace.`
                 );
-                process.exit(1);
+                process.exit(EXIT.FAILURE);
             }
             const current = splitKeywords(sub.filters_raw);
             if (current.length === 0) {
@@ -253,7 +427,7 @@ async function interactive() {
             updated = doRemove({ subId: sub.id, removeValues: removeNames });
         } else {
             console.error("Invalid selection.");
-            process.exit(1);
+            process.exit(EXIT.USAGE);
         }
 
         const resyncAns = await rl.question(
@@ -285,56 +459,141 @@ async function interactive() {
 /* ---------------- main (argv mode) ---------------- */
 
 async function main() {
-    const { subId, values, flags } = parseArgs(process.argv);
+    const { subId, values, flags, options } = parseArgs(process.argv);
+    const unknown =
+        [...options.keys()].find((o) => !VALUE_OPTIONS.includes(o)) ||
+        [...flags].find((f) => !FLAGS.includes(f));
+    if (unknown) usageError(USAGE, `Unknown option: ${unknown}`);
 
     if (!subId) {
         // Interactive mode
         await interactive();
         return;
     }
+    if (!getSub(subId)) {
+        console.error(`Subscription not found: ${subId}`);
+        process.exit(EXIT.NOT_FOUND);
+    }
+    try {
+        checkArgs({ values, flags, options });
+    } catch (e) {
+        console.error(e.message);
+        process.exit(EXIT.USAGE);
+    }
+
+    // Settings below may be combined with a filter update or used alone
+    let settingsChanged = false;
+
+    // Pause/resume (rollback pauses a subscription)
+    if (flags.has("--enable") || flags.has("--disable")) {
+        if (flags.has("--enable") && flags.has("--disable")) {
+            console.error("Pick one of --enable or --disable.");
+            process.exit(EXIT.USAGE);
+        }
+        const enabled = flags.has("--enable");
+        setEnabled({ subId, enabled });
+        console.log(enabled ? "▶️  Subscription enabled" : "⏸️  Subscription paused");
+        settingsChanged = true;
+    }
+
+    // Name shown by list/status (empty value clears)
+    if (options.has("--label")) {
+        const label = options.get("--label").trim() || null;
+        saveLabel({ subId, label });
+        console.log(`🏷️  Label: ${label ?? "(none)"}`);
+        settingsChanged = true;
+    }
+
+    // Schedule (daemon mode)
+    if (options.has("--interval") || options.has("--jitter")) {
+        const sched = saveSchedule({
+            subId,
+            interval: options.has("--interval")
+                ? parseSeconds(options.get("--interval"), "--interval")
+                : undefined,
+            jitter: options.has("--jitter")
+                ? parseSeconds(options.get("--jitter"), "--jitter")
+                : undefined,
+        });
+        const secs = (v) => (v == null ? "default" : `${v}s`);
+        console.log(
+            `⏱️  Schedule: every ${secs(sched.sync_interval_sec)}, jitter ${secs(
+                sched.sync_jitter_sec
+            )}`
+        );
+        settingsChanged = true;
+    }
+
+    // Payload transform — mirrors pick it up through their fingerprint, no resync needed
+    if (options.has("--transform")) {
+        const transformJson = transformFromArg(options.get("--transform"));
+        saveTransform({ subId, transformJson });
+        console.log(`🎨 Transform: ${transformJson ?? "(none)"}`);
+        settingsChanged = true;
+    }
+
+    // Reminder policy — fingerprinted like transforms
+    if (options.has("--reminders")) {
+        const remindersJson = remindersFromArg(options.get("--reminders"));
+        saveReminders({ subId, remindersJson });
+        console.log(`⏰ Reminders: ${remindersJson ?? "(from source)"}`);
+        settingsChanged = true;
+    }
+
+    // Time filter
+    if (hasTimeOptions(options)) {
+        const tf = saveTimeFilter({ subId, options });
+        console.log(`🗓️  Time filter: ${describeTimeFilter(tf) || "(none)"}`);
+        if (values.length === 0) {
+            clearSyncToken(subId);
+            console.log(
+                "🔁 Cleared sync token — next worker run will re-scan with new filters."
+            );
+        }
+        settingsChanged = true;
+    }
+
+    if (settingsChanged && values.length === 0) return;
 
     const append = flags.has("--append");
     const regex = flags.has("--regex");
+    const expr = flags.has("--expr");
     const resync = flags.has("--resync");
     const remove = flags.has("--remove");
 
     // Validate combos
-    if (remove && regex) {
+    if (remove && (regex || expr)) {
         console.error(
-            "Cannot combine --remove with --regex. Removing applies to keyword mode only."
+            "Cannot combine --remove with --regex/--expr. Removing applies to keyword mode only."
         );
-        process.exit(1);
+        process.exit(EXIT.USAGE);
+    }
+    if (regex && expr) {
+        console.error("Pick one of --regex or --expr.");
+        process.exit(EXIT.USAGE);
     }
 
     if (values.length === 0) {
-        console.error(
-            "Usage:\n" +
-                "  node scripts/update-subscription-courses.js <SUB_ID> [--append] [--remove] [--regex] [--resync] <values...>\n\n" +
-                "Examples:\n" +
-                "  # Replace with keywords:\n" +
-                "  node scripts/update-subscription-courses.js 1234 'Optimal transport' 'Convex optimization'\n\n" +
-                "  # Append keywords:\n" +
-                "  node scripts/update-subscription-courses.js 1234 --append 'Reinforcement Learning'\n\n" +
-                "  # Remove keywords (case/accents-insensitive):\n" +
-                "  node scripts/update-subscription-courses.js 1234 --remove 'Optimal transport' 'Convex optimization'\n\n" +
-                "  # Replace with a regex:\n" +
-                "  node scripts/update-subscription-courses.js 1234 --regex '(Optimal Transport|Convex optimization)'\n" +
-                ""
-        );
-        process.exit(1);
+        usageError(USAGE);
     }
 
     let updated;
-    if (remove) {
-        // remove from existing keywords list
-        updated = doRemove({ subId, removeValues: values });
-    } else if (append) {
-        // append keywords
-        updated = doAppend({ subId, values });
-    } else {
-        // replace (keywords or regex)
-        const filterType = regex ? "regex" : "keywords";
-        updated = doReplace({ subId, filterType, values });
+    try {
+        if (remove) {
+            // remove from existing keywords list
+            updated = doRemove({ subId, removeValues: values });
+        } else if (append) {
+            // append keywords
+            updated = doAppend({ subId, values });
+        } else {
+            // replace (keywords, regex or expression)
+            const filterType = regex ? "regex" : expr ? "expr" : "keywords";
+            updated = doReplace({ subId, filterType, values });
+        }
+    } catch (e) {
+        // e.g. --append on a regex subscription
+        console.error(e.message);
+        process.exit(EXIT.USAGE);
     }
 
     if (resync) {
@@ -358,5 +617,5 @@ async function main() {
 
 main().catch((e) => {
     console.error(e);
-    process.exit(1);
+    process.exit(EXIT.FAILURE);
 });
@@ -4,32 +4,52 @@ import pino from "pino";
 import Database from "better-sqlite3";
 import { google } from "googleapis";
 import crypto from "node:crypto";
-import { createTokenStore } from "./tokenStore.js";
-
-const log = pino({ level: process.env.LOG_LEVEL || "info" });
+import { openTokenStore } from "./tokenStore.js";
+import { compileFilter } from "./filterExpr.js";
+import { makeTimeFilter } from "./timeFilter.js";
+import { compileTransform } from "./transforms.js";
+import { compileReminders } from "./reminders.js";
+import { withRetries, createLimiter } from "./googleRetry.js";
+import { createBatcher, MAX_BATCH_SIZE } from "./batch.js";
+import { acquireLease, describeHolder } from "./lease.js";
+import { EXIT } from "./cli.js";
+import {
+    authClientFor,
+    authFailureReason,
+    reauthState,
+    markNeedsReauth,
+    clearReauth,
+    reconnectCommand,
+    reconnectCommandFor,
+} from "./profiles.js";
+import {
+    withOwnership,
+    withSyncStamp,
+    ownerOf,
+    ownedBySubscriptionQuery,
+} from "./ownership.js";
+
+// With --json the plan goes to stdout, so logs move to stderr.
+const JSON_OUTPUT = process.argv.includes("--json");
+const log = pino(
+    { level: process.env.LOG_LEVEL || "info" },
+    JSON_OUTPUT ? pino.destination(2) : pino.destination(1)
+);
 
 const DB_PATH = process.env.DB_PATH || "./sync.db";
 const db = new Database(DB_PATH);
-const store = createTokenStore(process.env.TOKENSTORE_DIR || "./secure_tokens");
+const store = openTokenStore({ db });
 
 const DEDUP_MATCH_FILTERS_ONLY = process.env.DEDUP_MATCH_FILTERS_ONLY === "1";
+// Target mutations go out as batch requests unless BATCH_MUTATIONS=0 or --no-batch.
+const BATCH_MUTATIONS =
+    process.env.BATCH_MUTATIONS !== "0" && !process.argv.includes("--no-batch");
 
 // ---------- helpers ----------
 function oauthForTokenKey(tokenKey) {
     db.prepare("SELECT 1").get(); // ensure DB open
-    return (async () => {
-        const payload = await store.load(tokenKey);
-        if (!payload?.tokens?.refresh_token) {
-            throw new Error(`No refresh token for tokenKey=${tokenKey}`);
-        }
-        const oauth2 = new google.auth.OAuth2(
-            process.env.GOOGLE_CLIENT_ID,
-            process.env.GOOGLE_CLIENT_SECRET,
-            process.env.GOOGLE_REDIRECT_URI
-        );
-        oauth2.setCredentials({ refresh_token: payload.tokens.refresh_token });
-        return oauth2;
-    })();
+    // OAuth2 (refresh token) or JWT (service account) client, see profiles.js
+    return (async () => authClientFor(tokenKey, await store.load(tokenKey)))();
 }
 
 /** recurring helpers */
@@ -49,6 +69,9 @@ function normalize(s) {
 }
 
 function makeMatcher(filter_type, filters_raw) {
+    if (filter_type === "expr") {
+        return compileFilter(filters_raw);
+    }
     if (filter_type === "regex") {
         const re = new RegExp(filters_raw, "i");
         return (ev) =>
@@ -68,15 +91,141 @@ function makeMatcher(filter_type, filters_raw) {
     };
 }
 
-async function listChanges(calendar, calId, params) {
-    const res = await calendar.events.list({
-        calendarId: calId,
-        showDeleted: true,
-        singleEvents: false, // deltas include masters + exceptions; we will skip masters as targets
-        maxResults: 2500,
-        ...params,
+/** Backfill window: BACKFILL_BEHIND_DAYS back to BACKFILL_AHEAD_DAYS ahead of now. */
+function backfillRange() {
+    const daysAhead = Number(process.env.BACKFILL_AHEAD_DAYS || 180);
+    const daysBehind = Number(process.env.BACKFILL_BEHIND_DAYS || 7);
+    return {
+        timeMin: new Date(Date.now() - daysBehind * 24 * 3600 * 1000).toISOString(),
+        timeMax: new Date(Date.now() + daysAhead * 24 * 3600 * 1000).toISOString(),
+    };
+}
+
+/** Fetch every page of an events.list/instances call. */
+async function listAll(list, params) {
+    const items = [];
+    let pageToken;
+    let nextSyncToken = null;
+    do {
+        const { data } = await list({ ...params, pageToken });
+        items.push(...(data.items || []));
+        nextSyncToken = data.nextSyncToken || nextSyncToken;
+        pageToken = data.nextPageToken || undefined;
+    } while (pageToken);
+    return { items, nextSyncToken };
+}
+
+/* -------------------- shared source reads -------------------- */
+
+/** State shared by the source readers of one group (see createSourceReader). */
+function sharedReads() {
+    return { memo: new Map(), failed: new Set() };
+}
+
+/** `e` for a run reusing another run's failed read: labeled, classified the same. */
+function sharedReadError(e, key) {
+    const err = new Error(`shared source read failed (${key}): ${e?.message || e}`, {
+        cause: e,
     });
-    return res.data;
+    err.code = e?.code;
+    err.response = e?.response;
+    return err;
+}
+
+/**
+ * Reads of one source calendar with one set of credentials, memoized for the run so
+ * subscriptions reading the same calendar share them: the delta per sync token (only
+ * subscriptions at the same token see the same changes), the backfill window, series
+ * instances and single events. `client` resolves to the calendar client to use.
+ *
+ * Each run has its own reader, reading through its own client so the run's stats count
+ * its reads; the readers of a group pass one `shared` ({ memo, failed }). The first run
+ * needing a read makes it, later runs reuse the result — or the failure, which is then
+ * logged once for the group and labeled in their errors.
+ */
+function createSourceReader(client, calId, shared = sharedReads()) {
+    const { memo } = shared;
+    const own = new Set(); // keys this reader fetched itself
+    const once = (key, fn) => {
+        if (!memo.has(key)) {
+            own.add(key);
+            memo.set(key, fn());
+        }
+        if (own.has(key)) return memo.get(key);
+        return memo.get(key).catch((e) => {
+            if (!shared.failed.has(key)) {
+                shared.failed.add(key);
+                log.warn(
+                    { src: calId, read: key, err: e?.message },
+                    "shared source read failed — subscriptions reusing it fail too"
+                );
+            }
+            throw sharedReadError(e, key);
+        });
+    };
+
+    return {
+        /** All changes since `syncToken` (everything when null): { items, nextSyncToken } */
+        changes(syncToken) {
+            return once(`changes:${syncToken ?? ""}`, async () => {
+                const calendar = await client();
+                return listAll((p) => calendar.events.list(p), {
+                    calendarId: calId,
+                    showDeleted: true,
+                    singleEvents: false, // deltas include masters + exceptions; we will skip masters as targets
+                    maxResults: 2500,
+                    ...(syncToken ? { syncToken } : {}),
+                });
+            });
+        },
+
+        /** Instances and single events in the backfill window: { items, timeMin, timeMax } */
+        window() {
+            return once("window", async () => {
+                const calendar = await client();
+                const range = backfillRange();
+                const { items } = await listAll((p) => calendar.events.list(p), {
+                    calendarId: calId,
+                    singleEvents: true, // expand to instances
+                    orderBy: "startTime",
+                    ...range,
+                    maxResults: 2500,
+                });
+                return { items, ...range };
+            });
+        },
+
+        /** Instances of a recurring master within the backfill window. */
+        instances(eventId) {
+            return once(`instances:${eventId}`, async () => {
+                const calendar = await client();
+                const { items } = await listAll((p) => calendar.events.instances(p), {
+                    calendarId: calId,
+                    eventId,
+                    ...backfillRange(),
+                    maxResults: 2500,
+                });
+                return items;
+            });
+        },
+
+        /** One event, or null when it no longer exists. */
+        event(eventId) {
+            return once(`event:${eventId}`, async () => {
+                const calendar = await client();
+                try {
+                    const { data } = await calendar.events.get({
+                        calendarId: calId,
+                        eventId,
+                    });
+                    return data;
+                } catch (e) {
+                    if (e?.code === 404) return null;
+                    throw e;
+                }
+            });
+        },
+    };
 }
 
 /* -------------------- fingerprinted payload -------------------- */
@@ -107,9 +256,12 @@ function fingerprintOfPayload(payload) {
         .digest("hex");
 }
 
-/** Build exactly what we mirror to target. Extend if you want to track more fields. */
-function buildPayloadFromSource(ev) {
-    return {
+/** Build exactly what we mirror to target. Extend if you want to track more fields.
+ * `transforms` (transforms.js, reminders.js) rewrite the payload per subscription; since
+ * they run before fingerprinting, editing a subscription's config updates its mirrors.
+ */
+function buildPayloadFromSource(ev, transforms = []) {
+    const payload = {
         summary: ev.summary ?? null,
         description: ev.description ?? null, // “note”
         location: ev.location ?? null,
@@ -125,189 +277,528 @@ function buildPayloadFromSource(ev) {
         // attendees: ev.attendees ?? undefined,
         // extendedProperties: ev.extendedProperties ?? undefined,
     };
+    return transforms.reduce((p, t) => t(ev, p), payload);
+}
+
+/** Start of an event as a comparable UTC ISO string (all-day events at 00:00Z). */
+function startAtOf(ev) {
+    const s =
+        ev?.start?.dateTime || (ev?.start?.date && `${ev.start.date}T00:00:00Z`);
+    const t = s ? Date.parse(s) : NaN;
+    return Number.isNaN(t) ? null : new Date(t).toISOString();
+}
+
+/* -------------------- dry-run plan -------------------- */
+
+/** Human-readable start of an event: dateTime or all-day date. */
+function startOf(ev) {
+    return ev?.start?.dateTime || ev?.start?.date || null;
+}
+
+/**
+ * Collects the mutations a run would perform instead of executing them.
+ * Actions are keyed so the same event is not listed twice when several
+ * phases (delta, backfill, prune) reach the same conclusion.
+ */
+function createPlan(sub) {
+    const seen = new Set();
+    const actions = [];
+    return {
+        subscriptionId: sub.id,
+        source: sub.source_calendar_id,
+        target: sub.target_calendar_id,
+        actions,
+        record(action, { ev, sourceId, targetId, reason }) {
+            const key = `${action}:${sourceId ?? ""}:${targetId ?? ""}`;
+            if (seen.has(key)) return;
+            seen.add(key);
+            actions.push({
+                action,
+                summary: ev?.summary ?? null,
+                start: startOf(ev),
+                reason,
+                sourceId: sourceId ?? null,
+                targetId: targetId ?? null,
+            });
+        },
+        counts() {
+            const c = { insert: 0, update: 0, delete: 0 };
+            for (const a of actions) c[a.action]++;
+            return c;
+        },
+        toJSON() {
+            return {
+                subscriptionId: this.subscriptionId,
+                source: this.source,
+                target: this.target,
+                counts: this.counts(),
+                actions,
+            };
+        },
+    };
+}
+
+/** Plan entry for a subscription whose dry run failed: it has no plan to review. */
+function failedPlan(sub, error) {
+    return {
+        subscriptionId: sub.id,
+        source: sub.source_calendar_id,
+        target: sub.target_calendar_id,
+        error: error?.message || String(error),
+        toJSON() {
+            return {
+                subscriptionId: this.subscriptionId,
+                source: this.source,
+                target: this.target,
+                error: this.error,
+                counts: null,
+                actions: [],
+            };
+        },
+    };
+}
+
+function printPlan(plan) {
+    if (plan.error) {
+        console.log(
+            `\nPlan for ${plan.subscriptionId} (${plan.source} -> ${plan.target}): ` +
+                `FAILED — ${plan.error}`
+        );
+        return;
+    }
+    const c = plan.counts();
+    console.log(
+        `\nPlan for ${plan.subscriptionId} (${plan.source} -> ${plan.target}): ` +
+            `${c.insert} insert, ${c.update} update, ${c.delete} delete`
+    );
+    const sign = { insert: "+", update: "~", delete: "-" };
+    const sorted = [...plan.actions].sort((a, b) =>
+        (a.start || "").localeCompare(b.start || "")
+    );
+    for (const a of sorted) {
+        console.log(
+            `  ${sign[a.action]} ${(a.start || "?").padEnd(25)} ${(
+                a.summary || "(no title)"
+            ).padEnd(40)} ${a.reason}`
+        );
+    }
 }
 
 /* -------------------- CRUD in target -------------------- */
 
-async function upsertTarget(
-    calendar,
-    subId,
-    targetCalId,
-    ev,
-    forceUpdate = false
+/**
+ * Per-run context threaded through the phases:
+ *   { runId, calendar, source, writes, batched, locks, sub, transforms, plan, seen, window, leftAlone }
+ * `source` reads the source calendar (createSourceReader), `writes` takes target mutations (a batcher when `batched`, else calendar.events);
+ * plan is null unless this is a dry run. `seen` collects the source events listed by
+ * the delta and backfill phases and `window` the backfill range, for pruning;
+ * `leftAlone` the source ids whose mapped target event was not ours to delete.
+ */
+
+/**
+ * Append a change to event_journal. Key fields come from `ev` (the source event or
+ * the mirror); deletes without one reuse the fields last journaled for that source.
+ * `oldPayload` is the mirror's body before the change, kept for `npm run rollback`.
+ */
+function journal(
+    ctx,
+    { action, reason, sourceId, targetId, oldFp, newFp, ev, oldPayload }
 ) {
+    let fields = ev
+        ? { summary: ev.summary ?? null, location: ev.location ?? null, start_at: startAtOf(ev) }
+        : null;
+    if (!fields?.summary && sourceId) {
+        fields =
+            db
+                .prepare(
+                    `SELECT summary, location, start_at FROM event_journal
+         WHERE subscription_id=? AND source_id=? AND summary IS NOT NULL
+         ORDER BY id DESC LIMIT 1`
+                )
+                .get(ctx.sub.id, sourceId) || fields;
+    }
+    db.prepare(
+        `INSERT INTO event_journal(at,run_id,subscription_id,action,reason,source_id,target_id,
+                                   old_fingerprint,new_fingerprint,summary,location,start_at,
+                                   old_payload)
+     VALUES(?,?,?,?,?,?,?,?,?,?,?,?,?)`
+    ).run(
+        Date.now(),
+        ctx.runId ?? null,
+        ctx.sub.id,
+        action,
+        reason,
+        sourceId ?? null,
+        targetId ?? null,
+        oldFp ?? null,
+        newFp ?? null,
+        fields?.summary ?? null,
+        fields?.location ?? null,
+        fields?.start_at ?? null,
+        oldPayload == null
+            ? null
+            : typeof oldPayload === "string"
+            ? oldPayload
+            : JSON.stringify(oldPayload)
+    );
+}
+
+/**
+ * Run `fn` over `items`, summing the { created, updated, removed } it returns. When
+ * mutations are batched, one batch worth of items runs at once so their writes share
+ * a request; otherwise items run one at a time. Nested calls (a series refresh per
+ * delta item) multiply the items in flight, not the requests: those are bounded by
+ * the run's limiter (syncSubscription). Failures of single items don't stop the
+ * others in flight; the first one is rethrown once they have settled.
+ */
+async function forEachEvent(ctx, items, fn) {
+    const totals = { created: 0, updated: 0, removed: 0 };
+    const width = ctx.batched ? MAX_BATCH_SIZE : 1;
+    for (let i = 0; i < items.length; i += width) {
+        const results = await Promise.allSettled(items.slice(i, i + width).map(fn));
+        for (const r of results) {
+            if (r.status !== "fulfilled" || !r.value) continue;
+            totals.created += r.value.created || 0;
+            totals.updated += r.value.updated || 0;
+            totals.removed += r.value.removed || 0;
+        }
+        const failed = results.find((r) => r.status === "rejected");
+        if (failed) throw failed.reason;
+    }
+    return totals;
+}
+
+/** Serialize work on one source event: concurrent phases may reach it twice. */
+async function withEventLock(ctx, sourceId, fn) {
+    const prev = ctx.locks.get(sourceId) || Promise.resolve();
+    const run = prev.catch(() => {}).then(fn);
+    ctx.locks.set(sourceId, run);
+    try {
+        return await run;
+    } finally {
+        if (ctx.locks.get(sourceId) === run) ctx.locks.delete(sourceId);
+    }
+}
+
+function upsertTarget(ctx, ev, opts) {
+    return withEventLock(ctx, ev.id, () => applyUpsert(ctx, ev, opts));
+}
+
+function removeTarget(ctx, sourceId, reason) {
+    return withEventLock(ctx, sourceId, () => applyRemove(ctx, sourceId, reason));
+}
+
+async function applyUpsert(ctx, ev, { forceUpdate = false } = {}) {
+    const { writes, sub, plan } = ctx;
     const existing = db
         .prepare(
             `SELECT * FROM event_mappings WHERE subscription_id=? AND source_id=?`
         )
-        .get(subId, ev.id);
+        .get(sub.id, ev.id);
 
-    const payload = buildPayloadFromSource(ev);
+    // ownership tags are part of the fingerprint, so untagged legacy mirrors get tagged on update
+    const payload = withOwnership(
+        buildPayloadFromSource(ev, ctx.transforms),
+        sub.id,
+        ev.id
+    );
     const fp = fingerprintOfPayload(payload);
+    const body = withSyncStamp(payload, fp, ev.etag);
 
     if (existing) {
         const contentChanged = existing.fingerprint !== fp;
         const etagChanged = existing.etag !== ev.etag;
 
         if (contentChanged || etagChanged || forceUpdate) {
-            const updated = await calendar.events.update({
-                calendarId: targetCalId,
+            const reason = forceUpdate
+                ? "series changed in source"
+                : contentChanged
+                ? "content changed"
+                : "source etag changed";
+            if (plan) {
+                plan.record("update", {
+                    ev,
+                    sourceId: ev.id,
+                    targetId: existing.target_id,
+                    reason,
+                });
+                return { updated: 1, created: 0, removed: 0 };
+            }
+            const updated = await writes.update({
+                calendarId: sub.target_calendar_id,
                 eventId: existing.target_id,
-                requestBody: payload,
+                requestBody: body,
             });
             db.prepare(
-                `INSERT INTO event_mappings(subscription_id,source_id,target_id,etag,fingerprint)
-         VALUES(?,?,?,?,?)
+                `INSERT INTO event_mappings(subscription_id,source_id,target_id,etag,fingerprint,start_at,payload)
+         VALUES(?,?,?,?,?,?,?)
          ON CONFLICT(subscription_id,source_id)
          DO UPDATE SET target_id=excluded.target_id,
                        etag=excluded.etag,
-                       fingerprint=excluded.fingerprint`
-            ).run(subId, ev.id, updated.data.id, ev.etag, fp);
-            log.debug({ subId, ev: ev.id }, "updated");
+                       fingerprint=excluded.fingerprint,
+                       start_at=excluded.start_at,
+                       payload=excluded.payload`
+            ).run(
+                sub.id,
+                ev.id,
+                updated.data.id,
+                ev.etag,
+                fp,
+                startAtOf(ev),
+                JSON.stringify(body)
+            );
+            journal(ctx, {
+                action: "update",
+                reason,
+                sourceId: ev.id,
+                targetId: updated.data.id,
+                oldFp: existing.fingerprint,
+                newFp: fp,
+                ev,
+                oldPayload: existing.payload,
+            });
+            log.debug({ subId: sub.id, ev: ev.id }, "updated");
             return { updated: 1, created: 0, removed: 0 };
         }
         return { updated: 0, created: 0, removed: 0 };
     } else {
-        const created = await calendar.events.insert({
-            calendarId: targetCalId,
-            requestBody: payload,
+        // Another enabled subscription reading the same source into the same
+        // target already mirrors this event: don't create a second copy.
+        const sharedWith = db
+            .prepare(
+                `SELECT m.subscription_id FROM event_mappings m
+         JOIN subscriptions s ON s.id = m.subscription_id
+         WHERE m.source_id=? AND m.subscription_id<>? AND s.is_enabled=1
+           AND s.source_calendar_id=? AND s.target_calendar_id=?
+         LIMIT 1`
+            )
+            .get(ev.id, sub.id, sub.source_calendar_id, sub.target_calendar_id);
+        if (sharedWith) {
+            log.debug(
+                { subId: sub.id, ev: ev.id, owner: sharedWith.subscription_id },
+                "already mirrored by another subscription"
+            );
+            return { updated: 0, created: 0, removed: 0 };
+        }
+
+        if (plan) {
+            plan.record("insert", {
+                ev,
+                sourceId: ev.id,
+                reason: "new match in source",
+            });
+            return { updated: 0, created: 1, removed: 0 };
+        }
+        const created = await writes.insert({
+            calendarId: sub.target_calendar_id,
+            requestBody: body,
         });
         db.prepare(
-            `INSERT INTO event_mappings(subscription_id,source_id,target_id,etag,fingerprint)
-       VALUES(?,?,?,?,?)`
-        ).run(subId, ev.id, created.data.id, ev.etag, fp);
-        log.debug({ subId, ev: ev.id }, "created");
+            `INSERT INTO event_mappings(subscription_id,source_id,target_id,etag,fingerprint,start_at,payload)
+       VALUES(?,?,?,?,?,?,?)`
+        ).run(
+            sub.id,
+            ev.id,
+            created.data.id,
+            ev.etag,
+            fp,
+            startAtOf(ev),
+            JSON.stringify(body)
+        );
+        journal(ctx, {
+            action: "insert",
+            reason: "new match in source",
+            sourceId: ev.id,
+            targetId: created.data.id,
+            newFp: fp,
+            ev,
+        });
+        log.debug({ subId: sub.id, ev: ev.id }, "created");
         return { updated: 0, created: 1, removed: 0 };
     }
 }
 
-async function removeTarget(calendar, subId, targetCalId, sourceId) {
+/**
+ * Delete the mirror of `sourceId` and its mapping. The mirror is read first and only
+ * deleted when its ownership tag names this subscription and source event:
+ *  - untagged (a legacy mirror, or a user's event): left alone and still mapped, so
+ *    `npm run adopt` can tag it and a later run removes it
+ *  - tagged for another subscription or source event: left alone, mapping dropped
+ */
+async function applyRemove(ctx, sourceId, reason) {
+    const { calendar, writes, sub, plan } = ctx;
+    if (ctx.leftAlone.has(sourceId)) return { removed: 0 }; // already checked this run
     const row = db
         .prepare(
             `SELECT * FROM event_mappings WHERE subscription_id=? AND source_id=?`
         )
-        .get(subId, sourceId);
+        .get(sub.id, sourceId);
     if (!row) return { removed: 0 };
 
+    let mirror = null; // null = already gone
     try {
-        await calendar.events.delete({
-            calendarId: targetCalId,
+        ({ data: mirror } = await calendar.events.get({
+            calendarId: sub.target_calendar_id,
             eventId: row.target_id,
-        });
+        }));
     } catch (e) {
-        if (e?.code !== 404) throw e;
+        if (e?.code !== 404 && e?.code !== 410) throw e;
+    }
+
+    const owner = ownerOf(mirror);
+    if (mirror && !owner) {
+        ctx.leftAlone.add(sourceId);
+        log.warn(
+            { subId: sub.id, ev: sourceId, targetId: row.target_id, reason },
+            "mapped target event has no ownership tag — leaving it and its mapping (run `npm run adopt`)"
+        );
+        return { removed: 0 };
+    }
+    if (mirror && (owner.subscriptionId !== sub.id || owner.sourceId !== sourceId)) {
+        ctx.leftAlone.add(sourceId);
+        log.warn(
+            { subId: sub.id, ev: sourceId, targetId: row.target_id, owner, reason },
+            "mapped target event is another mirror's — leaving it, dropping mapping"
+        );
+        if (!plan) {
+            db.prepare(
+                "DELETE FROM event_mappings WHERE subscription_id=? AND source_id=?"
+            ).run(sub.id, sourceId);
+        }
+        return { removed: 0 };
+    }
+
+    if (plan) {
+        // the mirror read above lets the plan show what would disappear
+        plan.record("delete", {
+            ev: mirror,
+            sourceId,
+            targetId: row.target_id,
+            reason,
+        });
+        return { removed: 1 };
+    }
+
+    if (mirror !== null) {
+        try {
+            await writes.delete({
+                calendarId: sub.target_calendar_id,
+                eventId: row.target_id,
+            });
+        } catch (e) {
+            if (e?.code !== 404) throw e;
+        }
     }
     db.prepare(
         "DELETE FROM event_mappings WHERE subscription_id=? AND source_id=?"
-    ).run(subId, sourceId);
-    log.debug({ subId, ev: sourceId }, "deleted");
+    ).run(sub.id, sourceId);
+    journal(ctx, {
+        action: "delete",
+        reason,
+        sourceId,
+        targetId: row.target_id,
+        oldFp: row.fingerprint,
+        ev: mirror,
+        // mappings written before payload snapshots: fall back to the mirror if it was read
+        oldPayload: row.payload ?? mirror ?? null,
+    });
+    log.debug({ subId: sub.id, ev: sourceId, reason }, "deleted");
     return { removed: 1 };
 }
 
 /* -------------------- window backfill / prune / dedupe -------------------- */
 
-async function backfillWindow(calendar, sub, match) {
-    const daysAhead = Number(process.env.BACKFILL_AHEAD_DAYS || 180);
-    const daysBehind = Number(process.env.BACKFILL_BEHIND_DAYS || 7);
-    const timeMin = new Date(
-        Date.now() - daysBehind * 24 * 3600 * 1000
-    ).toISOString();
-    const timeMax = new Date(
-        Date.now() + daysAhead * 24 * 3600 * 1000
-    ).toISOString();
-
-    let pageToken = undefined;
-    let created = 0,
-        updated = 0;
+async function backfillWindow(ctx, match) {
+    const { source, seen } = ctx;
+    const { items, timeMin, timeMax } = await source.window();
+    for (const ev of items) seen.set(ev.id, ev);
 
-    do {
-        const { data } = await calendar.events.list({
-            calendarId: sub.source_calendar_id,
-            singleEvents: true, // expand to instances
-            orderBy: "startTime",
-            timeMin,
-            timeMax,
-            maxResults: 2500,
-            pageToken,
-        });
+    // instances-only strategy: expanded instances have recurringEventId; singles have no recurrence
+    const res = await forEachEvent(
+        ctx,
+        items.filter((ev) => isInstanceOrSingle(ev) && match(ev)),
+        (ev) => upsertTarget(ctx, ev)
+    );
 
-        for (const ev of data.items || []) {
-            // instances-only strategy: expanded instances have recurringEventId; singles have no recurrence
-            if (!isInstanceOrSingle(ev)) continue;
-            if (match(ev)) {
-                const res = await upsertTarget(
-                    calendar,
-                    sub.id,
-                    sub.target_calendar_id,
-                    ev
-                );
-                created += res.created;
-                updated += res.updated;
-            }
-        }
+    ctx.window = { timeMin, timeMax };
+    return { created: res.created, updated: res.updated };
+}
 
-        pageToken = data.nextPageToken || undefined;
-    } while (pageToken);
+const DAY_MS = 24 * 3600 * 1000;
 
-    return { created, updated };
+/**
+ * Whether the backfill listing covered an event starting at `startAt`: an event
+ * there that is missing from the listing was deleted or cancelled. A day of margin
+ * keeps all-day events (stored at 00:00Z) on the safe side.
+ */
+function coveredByWindow(window, startAt) {
+    if (!window || !startAt) return false;
+    const t = Date.parse(startAt);
+    return (
+        t >= Date.parse(window.timeMin) + DAY_MS &&
+        t < Date.parse(window.timeMax) - DAY_MS
+    );
 }
 
-async function pruneStaleMappings(calendar, sub, match) {
+/**
+ * Check every mapping against the source events already listed this run (delta +
+ * backfill). Only mappings outside the backfill window, or without a known start,
+ * are fetched one by one.
+ */
+async function pruneStaleMappings(ctx, match) {
+    const { source, sub, plan, seen, window } = ctx;
     const mapped = db
-        .prepare(`SELECT source_id FROM event_mappings WHERE subscription_id=?`)
+        .prepare(
+            `SELECT source_id, start_at FROM event_mappings WHERE subscription_id=?`
+        )
         .all(sub.id);
+    const setStart = db.prepare(
+        `UPDATE event_mappings SET start_at=? WHERE subscription_id=? AND source_id=?`
+    );
 
-    let removed = 0;
-
-    for (const row of mapped) {
-        try {
-            const { data: ev } = await calendar.events.get({
-                calendarId: sub.source_calendar_id,
-                eventId: row.source_id,
-            });
+    const { removed } = await forEachEvent(ctx, mapped, async (row) => {
+        let ev = seen.get(row.source_id) || null;
+        if (!ev && !coveredByWindow(window, row.start_at)) {
+            ev = await source.event(row.source_id);
+        }
 
-            // if source is cancelled OR is a recurring master OR no longer matches → remove mirror
-            if (
-                ev.status === "cancelled" ||
-                isRecurringMaster(ev) ||
-                !match(ev)
-            ) {
-                const r = await removeTarget(
-                    calendar,
-                    sub.id,
-                    sub.target_calendar_id,
-                    row.source_id
-                );
-                removed += r.removed;
-            }
-        } catch (e) {
-            if (e?.code === 404) {
-                const r = await removeTarget(
-                    calendar,
-                    sub.id,
-                    sub.target_calendar_id,
-                    row.source_id
-                );
-                removed += r.removed;
-            } else {
-                throw e;
-            }
+        // if source is gone, cancelled, a recurring master or no longer matches → remove mirror
+        const reason = !ev
+            ? "deleted in source"
+            : ev.status === "cancelled"
+            ? "cancelled in source"
+            : isRecurringMaster(ev)
+            ? "recurring master (instances only)"
+            : !match(ev)
+            ? "no longer matches filters"
+            : null;
+        if (reason) {
+            return removeTarget(ctx, row.source_id, reason);
         }
-    }
+
+        const startAt = startAtOf(ev);
+        if (!plan && startAt !== row.start_at) setStart.run(startAt, sub.id, row.source_id);
+        return null;
+    });
 
     return { removed };
 }
 
-/** Remove any event in target calendar that isn't mapped to this subscription.
+/** Remove mirrors tagged as this subscription's that aren't mapped anymore.
+ * Events without our ownership tag (the user's own events) are never touched, and
+ * mappings of every subscription writing into the same target count as valid.
  * If DEDUP_MATCH_FILTERS_ONLY=1, only remove unmapped events that also match filters.
  */
-async function dedupeTarget(calendar, sub, match) {
+async function dedupeTarget(ctx, match) {
+    const { calendar, writes, sub, plan } = ctx;
     const valid = new Set(
         db
             .prepare(
-                `SELECT target_id FROM event_mappings WHERE subscription_id=?`
+                `SELECT m.target_id FROM event_mappings m
+         JOIN subscriptions s ON s.id = m.subscription_id
+         WHERE s.target_calendar_id=?`
             )
-            .all(sub.id)
+            .all(sub.target_calendar_id)
             .map((r) => r.target_id)
     );
 
@@ -319,27 +810,51 @@ async function dedupeTarget(calendar, sub, match) {
             calendarId: sub.target_calendar_id,
             showDeleted: false,
             singleEvents: false,
+            privateExtendedProperty: ownedBySubscriptionQuery(sub.id),
             maxResults: 2500,
             pageToken,
         });
 
-        for (const ev of data.items || []) {
-            const id = ev.id;
-            const isMapped = valid.has(id);
+        // the query already filters on our tags; re-check before deleting anything
+        const orphans = (data.items || []).filter(
+            (ev) =>
+                ownerOf(ev)?.subscriptionId === sub.id &&
+                !valid.has(ev.id) &&
+                (!DEDUP_MATCH_FILTERS_ONLY || match(ev))
+        );
 
-            if (!isMapped && (!DEDUP_MATCH_FILTERS_ONLY || match(ev))) {
-                try {
-                    await calendar.events.delete({
-                        calendarId: sub.target_calendar_id,
-                        eventId: id,
-                    });
-                    removed++;
-                    log.debug({ subId: sub.id, targetId: id }, "dedup removed");
-                } catch (e) {
-                    if (e?.code !== 404) throw e;
-                }
+        const res = await forEachEvent(ctx, orphans, async (ev) => {
+            if (plan) {
+                plan.record("delete", {
+                    ev,
+                    targetId: ev.id,
+                    reason: "dedupe orphan",
+                });
+                return { removed: 1 };
             }
-        }
+            try {
+                await writes.delete({
+                    calendarId: sub.target_calendar_id,
+                    eventId: ev.id,
+                });
+                const owner = ownerOf(ev);
+                journal(ctx, {
+                    action: "delete",
+                    reason: "dedupe orphan",
+                    sourceId: owner?.sourceId,
+                    targetId: ev.id,
+                    oldFp: owner?.fingerprint,
+                    ev,
+                    oldPayload: ev,
+                });
+                log.debug({ subId: sub.id, targetId: ev.id }, "dedup removed");
+                return { removed: 1 };
+            } catch (e) {
+                if (e?.code !== 404) throw e;
+                return null;
+            }
+        });
+        removed += res.removed;
 
         pageToken = data.nextPageToken || undefined;
     } while (pageToken);
@@ -349,78 +864,165 @@ async function dedupeTarget(calendar, sub, match) {
 
 /* -------------------- master-change refresh -------------------- */
 
-async function refreshSeriesForMasterChange(calendar, sub, masterEv, match) {
-    const daysAhead = Number(process.env.BACKFILL_AHEAD_DAYS || 180);
-    const daysBehind = Number(process.env.BACKFILL_BEHIND_DAYS || 7);
-    const timeMin = new Date(
-        Date.now() - daysBehind * 24 * 3600 * 1000
-    ).toISOString();
-    const timeMax = new Date(
-        Date.now() + daysAhead * 24 * 3600 * 1000
-    ).toISOString();
-
-    let pageToken;
-    let created = 0,
-        updated = 0,
-        removed = 0;
-
-    do {
-        const { data } = await calendar.events.instances({
-            calendarId: sub.source_calendar_id,
-            eventId: masterEv.id,
-            timeMin,
-            timeMax,
-            maxResults: 2500,
-            pageToken,
-        });
+async function refreshSeriesForMasterChange(ctx, masterEv, match) {
+    const instances = await ctx.source.instances(masterEv.id);
+    return forEachEvent(ctx, instances.filter(isInstanceOrSingle), (inst) =>
+        match(inst)
+            ? upsertTarget(ctx, inst, { forceUpdate: true })
+            : removeTarget(ctx, inst.id, "no longer matches filters")
+    );
+}
 
-        for (const inst of data.items || []) {
-            if (!isInstanceOrSingle(inst)) continue;
+/* -------------------- run history -------------------- */
 
-            if (match(inst)) {
-                const res = await upsertTarget(
-                    calendar,
-                    sub.id,
-                    sub.target_calendar_id,
-                    inst,
-                    /* forceUpdate */ true
-                );
-                created += res.created;
-                updated += res.updated;
-            } else {
-                const r = await removeTarget(
-                    calendar,
-                    sub.id,
-                    sub.target_calendar_id,
-                    inst.id
-                );
-                removed += r.removed;
-            }
-        }
+const SYNC_RUNS_KEEP_DAYS = Number(process.env.SYNC_RUNS_KEEP_DAYS || 90);
 
-        pageToken = data.nextPageToken || undefined;
-    } while (pageToken);
+function startRun(subId) {
+    return db
+        .prepare(
+            `INSERT INTO sync_runs(subscription_id, started_at, status) VALUES(?,?,'running')`
+        )
+        .run(subId, Date.now()).lastInsertRowid;
+}
 
-    return { created, updated, removed };
+function finishRun(runId, subId, status, { phases, stats, error = null }) {
+    const now = Date.now();
+    const n = (phase, key) => phases[phase]?.[key] || 0;
+    db.prepare(
+        `UPDATE sync_runs SET finished_at=?, duration_ms=? - started_at, status=?,
+            delta_created=?, delta_updated=?, delta_removed=?,
+            backfill_created=?, backfill_updated=?, prune_removed=?, dedupe_removed=?,
+            api_calls=?, retries=?, error=?
+     WHERE id=?`
+    ).run(
+        now,
+        now,
+        status,
+        n("delta", "created"),
+        n("delta", "updated"),
+        n("delta", "removed"),
+        n("backfill", "created"),
+        n("backfill", "updated"),
+        n("prune", "removed"),
+        n("dedupe", "removed"),
+        stats.apiCalls,
+        stats.retries,
+        error,
+        runId
+    );
+    db.prepare(`DELETE FROM sync_runs WHERE subscription_id=? AND started_at<?`).run(
+        subId,
+        now - SYNC_RUNS_KEEP_DAYS * 24 * 3600 * 1000
+    );
 }
 
 /* -------------------- subscription runner -------------------- */
 
-async function runSubscription(sub) {
+/**
+ * Sync one subscription. With { dryRun: true } nothing is written to Google
+ * or to the DB (sync token included); the returned plan lists what would be done.
+ * Other runs are recorded in sync_runs. `shared` (sharedReads) lets it reuse the
+ * source reads of the other subscriptions of its group (runGroup); each read is
+ * counted in the run that made it.
+ */
+async function runSubscription(sub, opts = {}) {
+    const stats = { apiCalls: 0, retries: 0 };
+    const phases = {};
+    const runId = opts.dryRun ? null : startRun(sub.id);
+    try {
+        const res = await syncSubscription(sub, opts, { stats, phases, runId });
+        if (runId) {
+            finishRun(runId, sub.id, res.tokenExpired ? "token_expired" : "ok", {
+                phases,
+                stats,
+            });
+        }
+        return res;
+    } catch (e) {
+        // logged here rather than in syncSubscription so setup failures (credentials,
+        // filters) show up too
+        const authReason = authFailureReason(e);
+        if (authReason) {
+            if (!opts.dryRun) markNeedsReauth(db, sub.token_key, authReason);
+            log.error(
+                {
+                    subId: sub.id,
+                    profile: sub.token_key,
+                    reason: authReason,
+                    reconnect: await reconnectCommandFor(store, sub.token_key),
+                },
+                "profile needs re-authentication — its subscriptions are paused"
+            );
+        } else {
+            log.error(
+                { subId: sub.id, err: e?.message, ...stats },
+                "subscription sync failed"
+            );
+        }
+        if (runId) {
+            finishRun(runId, sub.id, authReason ? "auth_error" : "error", {
+                phases,
+                stats,
+                error: e?.message || String(e),
+            });
+        }
+        throw e;
+    }
+}
+
+async function syncSubscription(
+    sub,
+    { dryRun = false, shared },
+    { stats, phases, runId }
+) {
+    // a dry run writes nothing, so its reads stay sequential
+    const batched = BATCH_MUTATIONS && !dryRun;
+    // every request of the run, however far its work fans out (series refreshes inside
+    // the delta, owner checks inside prune), shares one in-flight budget
+    const limit = createLimiter(batched ? MAX_BATCH_SIZE : 1);
     const oauth2 = await oauthForTokenKey(sub.token_key);
-    const calendar = google.calendar({ version: "v3", auth: oauth2 });
-    const match = makeMatcher(sub.filter_type, sub.filters_raw);
+    const calendar = withRetries(google.calendar({ version: "v3", auth: oauth2 }), {
+        stats,
+        log: log.child({ subId: sub.id }),
+        limit,
+    });
+    const matchText = makeMatcher(sub.filter_type, sub.filters_raw);
+    const inSchedule = makeTimeFilter(sub);
+    const match = (ev) => inSchedule(ev) && matchText(ev);
+    const plan = dryRun ? createPlan(sub) : null;
+    const transforms = [
+        compileTransform(sub.transform_json),
+        compileReminders(sub.reminders_json),
+    ].filter(Boolean);
+    const writes = batched
+        ? createBatcher(calendar, oauth2, { stats, log: log.child({ subId: sub.id }), limit })
+              .events
+        : calendar.events;
+    const ctx = {
+        runId,
+        calendar,
+        source: createSourceReader(async () => calendar, sub.source_calendar_id, shared),
+        writes,
+        batched,
+        locks: new Map(),
+        sub,
+        transforms,
+        plan,
+        seen: new Map(),
+        window: null,
+        leftAlone: new Set(),
+    };
 
     const state = db
         .prepare("SELECT * FROM subscription_state WHERE subscription_id=?")
         .get(sub.id);
 
-    let pageToken = undefined;
     let created = 0,
         updated = 0,
         removed = 0;
 
     const saveState = (patch) => {
+        if (dryRun) return;
         db.prepare(
             `INSERT INTO subscription_state(subscription_id,sync_token,last_run_at,last_status)
        VALUES(?,?,?,?)
@@ -438,118 +1040,267 @@ async function runSubscription(sub) {
 
     try {
         // --- Incremental changes (masters trigger series refresh) ---
-        do {
-            const data = await listChanges(calendar, sub.source_calendar_id, {
-                pageToken,
-                ...(state?.sync_token ? { syncToken: state.sync_token } : {}),
-            });
+        const delta = await ctx.source.changes(state?.sync_token ?? null);
+        for (const ev of delta.items) ctx.seen.set(ev.id, ev);
 
-            for (const ev of data.items || []) {
-                if (ev.status === "cancelled") {
-                    const r = await removeTarget(
-                        calendar,
-                        sub.id,
-                        sub.target_calendar_id,
-                        ev.id
-                    );
-                    removed += r.removed;
-                    continue;
-                }
+        const res = await forEachEvent(ctx, delta.items, async (ev) => {
+            if (ev.status === "cancelled") {
+                return removeTarget(ctx, ev.id, "cancelled in source");
+            }
 
-                if (isRecurringMaster(ev)) {
-                    // Master changed → refresh its instances within our window
-                    const ref = await refreshSeriesForMasterChange(
-                        calendar,
-                        sub,
-                        ev,
-                        match
-                    );
-                    created += ref.created;
-                    updated += ref.updated;
-                    removed += ref.removed;
-
-                    // Also ensure we never keep a mirrored master (legacy safety)
-                    const r = await removeTarget(
-                        calendar,
-                        sub.id,
-                        sub.target_calendar_id,
-                        ev.id
-                    );
-                    removed += r.removed;
-                    continue;
-                }
+            if (isRecurringMaster(ev)) {
+                // Master changed → refresh its instances within our window
+                const ref = await refreshSeriesForMasterChange(ctx, ev, match);
 
-                if (isInstanceOrSingle(ev) && match(ev)) {
-                    const res = await upsertTarget(
-                        calendar,
-                        sub.id,
-                        sub.target_calendar_id,
-                        ev
-                    );
-                    created += res.created;
-                    updated += res.updated;
-                } else {
-                    const r = await removeTarget(
-                        calendar,
-                        sub.id,
-                        sub.target_calendar_id,
-                        ev.id
-                    );
-                    removed += r.removed;
-                }
+                // Also ensure we never keep a mirrored master (legacy safety)
+                const r = await removeTarget(
+                    ctx,
+                    ev.id,
+                    "recurring master (instances only)"
+                );
+                return { ...ref, removed: ref.removed + r.removed };
             }
 
-            pageToken = data.nextPageToken || undefined;
-            if (data.nextSyncToken) {
-                saveState({
-                    sync_token: data.nextSyncToken,
-                    last_status: "ok",
-                });
-                break;
+            if (isInstanceOrSingle(ev) && match(ev)) {
+                return upsertTarget(ctx, ev);
             }
-        } while (pageToken);
+            return removeTarget(ctx, ev.id, "no longer matches filters");
+        });
+        created += res.created;
+        updated += res.updated;
+        removed += res.removed;
+        phases.delta = res;
+
+        if (delta.nextSyncToken) {
+            saveState({ sync_token: delta.nextSyncToken, last_status: "ok" });
+        }
 
         // --- BACKFILL instances in a time window ---
-        const bf = await backfillWindow(calendar, sub, match);
+        const bf = await backfillWindow(ctx, match);
         created += bf.created;
         updated += bf.updated;
+        phases.backfill = bf;
 
         // --- PRUNE mapped items that are now invalid (incl. masters) ---
-        const prune = await pruneStaleMappings(calendar, sub, match);
+        const prune = await pruneStaleMappings(ctx, match);
         removed += prune.removed;
+        phases.prune = prune;
 
         // --- DEDUPE anything not mapped to this subscription ---
-        const dedup = await dedupeTarget(calendar, sub, match);
+        const dedup = await dedupeTarget(ctx, match);
         removed += dedup.removed;
+        phases.dedupe = dedup;
     } catch (e) {
         if (e?.code === 410) {
-            db.prepare(
-                "UPDATE subscription_state SET sync_token=NULL WHERE subscription_id=?"
-            ).run(sub.id);
+            if (!dryRun) {
+                db.prepare(
+                    "UPDATE subscription_state SET sync_token=NULL WHERE subscription_id=?"
+                ).run(sub.id);
+            }
             log.warn(
                 { subId: sub.id },
                 "sync token expired — fresh sync next run"
             );
-            return;
+            return { created, updated, removed, plan, tokenExpired: true };
         }
-        log.error(
-            { subId: sub.id, err: e?.message },
-            "subscription sync failed"
-        );
         saveState({ last_status: "error" });
         throw e;
     }
 
-    log.info({ subId: sub.id, created, updated, removed }, "delta");
+    if (plan) {
+        // phases may reach the same event twice when nothing is written
+        log.info({ subId: sub.id, ...plan.counts(), ...stats }, "planned");
+    } else {
+        log.info({ subId: sub.id, created, updated, removed, ...stats }, "delta");
+    }
     saveState({ last_status: "ok" });
+    return { created, updated, removed, plan };
 }
 
-async function runAll() {
+const SYNC_CONCURRENCY = Math.max(1, Number(process.env.SYNC_CONCURRENCY || 2));
+
+/** Map with at most `limit` calls in flight; results keep the input order. */
+async function mapLimit(items, limit, fn) {
+    const out = new Array(items.length);
+    let next = 0;
+    const lane = async () => {
+        while (next < items.length) {
+            const i = next++;
+            out[i] = await fn(items[i]);
+        }
+    };
+    await Promise.all(
+        Array.from({ length: Math.min(limit, items.length) }, lane)
+    );
+    return out;
+}
+
+/**
+ * Run subscriptions reading the same source calendar with the same credentials,
+ * one after another, sharing their source reads. Resolves to the run results in
+ * `subs` order (see runGuarded: null when skipped, { error } when failed).
+ */
+async function runGroup(subs, opts = {}) {
+    const shared = sharedReads();
+    const results = [];
+    for (const sub of subs) {
+        results.push(await runGuarded(sub, { ...opts, shared }));
+    }
+    return results;
+}
+
+/**
+ * Sync every enabled subscription. Subscriptions are grouped by (credentials, source
+ * calendar) to share source reads; groups of the same source calendar run one after
+ * another (so two subscriptions never mirror into a shared target at the same time),
+ * different source calendars run SYNC_CONCURRENCY at a time.
+ */
+async function runAll({ dryRun = false } = {}) {
     const subs = db
         .prepare(`SELECT * FROM subscriptions WHERE is_enabled=1`)
         .all();
 
+    // source calendar -> (token key -> subscriptions)
+    const lanes = new Map();
     for (const sub of subs) {
+        if (!lanes.has(sub.source_calendar_id)) {
+            lanes.set(sub.source_calendar_id, new Map());
+        }
+        const groups = lanes.get(sub.source_calendar_id);
+        if (!groups.has(sub.token_key)) groups.set(sub.token_key, []);
+        groups.get(sub.token_key).push(sub);
+    }
+
+    const results = await mapLimit([...lanes.values()], SYNC_CONCURRENCY, async (groups) => {
+        const out = [];
+        for (const group of groups.values()) {
+            const res = await runGroup(group, { dryRun });
+            group.forEach((sub, i) => out.push({ sub, res: res[i] }));
+        }
+        return out;
+    });
+    return results.flat();
+}
+
+/**
+ * `--dry-run`: sync nothing, print the per-subscription plan (or JSON with `--json`).
+ * Subscriptions whose plan could not be made are listed with their error, and the
+ * process exits with EXIT.FAILURE (see the main guard).
+ */
+async function runDryRun() {
+    const plans = (await runAll({ dryRun: true }))
+        .map(({ sub, res }) => (res?.error ? failedPlan(sub, res.error) : res?.plan))
+        .filter(Boolean);
+    const failed = plans.filter((p) => p.error).length;
+    if (JSON_OUTPUT) {
+        console.log(
+            JSON.stringify(
+                { subscriptions: plans.map((p) => p.toJSON()), failed },
+                null,
+                2
+            )
+        );
+    } else {
+        for (const plan of plans) printPlan(plan);
+        if (plans.length === 0) console.log("Nothing planned.");
+        if (failed) {
+            console.log(
+                `\n⚠️  ${failed} subscription(s) could not be planned — review the errors above before syncing.`
+            );
+        }
+    }
+}
+
+/* -------------------- daemon mode -------------------- */
+
+const DEFAULT_INTERVAL_SEC = Number(process.env.SYNC_INTERVAL_SEC || 900);
+const DAEMON_RELOAD_SEC = Number(process.env.DAEMON_RELOAD_SEC || 60);
+const DAEMON_SHUTDOWN_TIMEOUT_SEC = Number(
+    process.env.DAEMON_SHUTDOWN_TIMEOUT_SEC || 120
+);
+
+/** subId -> promise of the run currently in flight */
+const inFlight = new Map();
+/** runs that failed in this process (one-shot runs exit with EXIT.FAILURE if any) */
+let failedRuns = 0;
+
+/**
+ * Take a lease, logging a skip when another process holds it. Returns the lease or null.
+ */
+function takeLease(name, fields, skipMsg) {
+    const { lease, holder } = acquireLease(db, name, {
+        onLost: () => log.warn({ ...fields, lock: name }, "lock lost to another process"),
+    });
+    if (!lease) {
+        log.warn(
+            {
+                ...fields,
+                lock: name,
+                holder: describeHolder(holder),
+                expiresAt: new Date(holder.expires_at).toISOString(),
+            },
+            skipMsg
+        );
+        return null;
+    }
+    if (lease.takenOver) {
+        log.warn(
+            { ...fields, lock: name, previous: describeHolder(lease.takenOver) },
+            "took over stale lock"
+        );
+    }
+    return lease;
+}
+
+/**
+ * Whether the profile is flagged for re-auth (logging a skip with `fields`). Tokens
+ * saved after the failure (a new login) clear the flag, so only the local token
+ * file is read here, never Google.
+ */
+async function profileBlocked(tokenKey, fields = {}) {
+    const state = reauthState(db, tokenKey);
+    if (!state) return false;
+    const payload = await store.load(tokenKey).catch(() => null);
+    if (payload?.issued_at > state.since) {
+        clearReauth(db, tokenKey);
+        log.info({ profile: tokenKey }, "profile reconnected — resuming its subscriptions");
+        return false;
+    }
+    log.warn(
+        {
+            ...fields,
+            profile: tokenKey,
+            reason: state.reason,
+            since: new Date(state.since).toISOString(),
+            reconnect: reconnectCommand(tokenKey, payload),
+        },
+        "profile needs re-authentication — skipping"
+    );
+    return true;
+}
+
+/**
+ * Run a subscription unless a previous run of it is still in flight, here or in
+ * another process (per-subscription lease; dry runs write nothing and skip it), or
+ * its profile needs to log in again. Resolves to the run result, null when skipped,
+ * or { error } when the run failed (already logged).
+ */
+async function runGuarded(sub, opts = {}) {
+    if (await profileBlocked(sub.token_key, { subId: sub.id })) return null;
+    if (inFlight.has(sub.id)) {
+        log.info({ subId: sub.id }, "previous run still in flight — skipping");
+        return null;
+    }
+    const lease = opts.dryRun
+        ? null
+        : takeLease(
+              `sub:${sub.id}`,
+              { subId: sub.id },
+              "subscription is being synced by another process — skipping"
+          );
+    if (!opts.dryRun && !lease) return null;
+
+    const p = (async () => {
         log.info(
             {
                 subId: sub.id,
@@ -559,14 +1310,203 @@ async function runAll() {
             "sync start"
         );
         try {
-            await runSubscription(sub);
+            const res = await runSubscription(sub, opts);
             log.info({ subId: sub.id }, "sync ok");
-        } catch {
+            return res;
+        } catch (error) {
             // already logged
+            failedRuns++;
+            return { error };
         }
+    })();
+    inFlight.set(sub.id, p);
+    try {
+        return await p;
+    } finally {
+        inFlight.delete(sub.id);
+        lease?.release();
     }
 }
 
+/**
+ * Log a failure that stopped a whole run (not a single subscription) and make the
+ * process exit with EXIT.FAILURE. A missing table or column means the database
+ * predates this version of the worker.
+ */
+function runFailed(e, msg) {
+    const unmigrated = /no such (table|column)/.test(e?.message || "");
+    log.error(
+        { err: e?.message, code: e?.code, ...(unmigrated && { fix: "npm run migrate" }) },
+        unmigrated ? `${msg} — database schema is out of date, run \`npm run migrate\`` : msg
+    );
+    process.exitCode = EXIT.FAILURE;
+}
+
+/** One-shot `npm run worker`: skip entirely while another one-shot run is going. */
+async function runExclusive() {
+    const lease = takeLease(
+        "worker",
+        {},
+        "another worker run holds the lock — skipping this run"
+    );
+    if (!lease) return;
+    try {
+        await runAll();
+    } finally {
+        lease.release();
+    }
+}
+
+function intervalMsOf(sub) {
+    return (sub.sync_interval_sec || DEFAULT_INTERVAL_SEC) * 1000;
+}
+
+/** Next delay = interval ± jitter (jitter defaults to 10% of the interval). */
+function nextDelayMs(sub) {
+    const interval = intervalMsOf(sub);
+    const jitter =
+        sub.sync_jitter_sec != null
+            ? sub.sync_jitter_sec * 1000
+            : Math.round(interval * 0.1);
+    const offset = Math.round((Math.random() * 2 - 1) * jitter);
+    return Math.max(1000, interval + offset);
+}
+
+async function runDaemon() {
+    /** subId -> { sub, timer } */
+    const schedules = new Map();
+    let stopping = false;
+    let reloadTimer = null;
+
+    const arm = (subId, delay) => {
+        const entry = schedules.get(subId);
+        if (!entry) return;
+        clearTimeout(entry.timer);
+        entry.timer = setTimeout(() => {
+            const current = schedules.get(subId);
+            if (!current || stopping) return;
+            // Re-arm first so the cadence does not drift with run duration;
+            // an overlapping tick is skipped by runGuarded.
+            arm(subId, nextDelayMs(current.sub));
+            runGuarded(current.sub).catch((e) => runFailed(e, "scheduled run failed"));
+        }, delay);
+    };
+
+    const reload = () => {
+        const subs = db
+            .prepare(`SELECT * FROM subscriptions WHERE is_enabled=1`)
+            .all();
+        const seen = new Set();
+
+        for (const sub of subs) {
+            seen.add(sub.id);
+            const entry = schedules.get(sub.id);
+            if (!entry) {
+                schedules.set(sub.id, { sub, timer: null });
+                // stagger first runs over the jitter window
+                arm(sub.id, Math.round(Math.random() * (nextDelayMs(sub) * 0.1)));
+                log.info(
+                    { subId: sub.id, intervalSec: intervalMsOf(sub) / 1000 },
+                    "scheduled"
+                );
+                continue;
+            }
+            const rescheduled =
+                entry.sub.sync_interval_sec !== sub.sync_interval_sec ||
+                entry.sub.sync_jitter_sec !== sub.sync_jitter_sec;
+            entry.sub = sub;
+            if (rescheduled) {
+                arm(sub.id, nextDelayMs(sub));
+                log.info(
+                    { subId: sub.id, intervalSec: intervalMsOf(sub) / 1000 },
+                    "rescheduled"
+                );
+            }
+        }
+
+        for (const [subId, entry] of schedules) {
+            if (!seen.has(subId)) {
+                clearTimeout(entry.timer);
+                schedules.delete(subId);
+                log.info({ subId }, "unscheduled (disabled or deleted)");
+            }
+        }
+    };
+
+    const shutdown = async (signal) => {
+        if (stopping) {
+            log.warn({ signal }, "second signal — exiting immediately");
+            process.exit(1);
+        }
+        stopping = true;
+        log.info(
+            { signal, inFlight: inFlight.size },
+            "shutting down — waiting for in-flight runs"
+        );
+        clearInterval(reloadTimer);
+        for (const entry of schedules.values()) clearTimeout(entry.timer);
+        schedules.clear();
+
+        const timeout = new Promise((resolve) =>
+            setTimeout(resolve, DAEMON_SHUTDOWN_TIMEOUT_SEC * 1000, "timeout")
+        );
+        const outcome = await Promise.race([
+            Promise.allSettled([...inFlight.values()]),
+            timeout,
+        ]);
+        if (outcome === "timeout") {
+            log.warn("in-flight runs did not finish in time — exiting anyway");
+        }
+        db.close();
+        process.exit(0);
+    };
+
+    process.on("SIGINT", () => shutdown("SIGINT"));
+    process.on("SIGTERM", () => shutdown("SIGTERM"));
+
+    reload();
+    reloadTimer = setInterval(() => {
+        try {
+            reload();
+        } catch (e) {
+            // keep the current schedules; the next reload may succeed
+            log.error({ err: e?.message }, "reloading subscriptions failed");
+        }
+    }, DAEMON_RELOAD_SEC * 1000);
+    log.info(
+        { subscriptions: schedules.size, reloadSec: DAEMON_RELOAD_SEC },
+        "daemon started"
+    );
+}
+
+export {
+    oauthForTokenKey,
+    startAtOf,
+    pruneStaleMappings,
+    profileBlocked,
+    runSubscription,
+    runGuarded,
+    runGroup,
+    inFlight,
+};
+
 if (process.argv[1].endsWith("worker.js")) {
-    runAll();
+    const dryRun = process.argv.includes("--dry-run");
+    if (process.argv.includes("--daemon")) {
+        if (dryRun) {
+            console.error("--dry-run cannot be combined with --daemon");
+            process.exit(EXIT.USAGE);
+        }
+        runDaemon().catch((e) => {
+            runFailed(e, "daemon failed to start");
+            process.exit();
+        });
+    } else {
+        (dryRun ? runDryRun() : runExclusive()).then(
+            () => {
+                if (failedRuns > 0) process.exitCode = EXIT.FAILURE;
+            },
+            (e) => runFailed(e, dryRun ? "dry run failed" : "worker run failed")
+        );
+    }
 }
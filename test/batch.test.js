@@ -0,0 +1,193 @@
+// test/batch.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createBatcher } from "../scripts/batch.js";
+
+/** The inner requests of a multipart batch body: [{ contentId, line, body }]. */
+function requestsOf(body, contentType) {
+    const boundary = contentType.match(/boundary=([^;]+)/)[1];
+    return body
+        .split(`--${boundary}`)
+        .slice(1, -1)
+        .map((part) => {
+            const [head, ...rest] = part.split("\r\n\r\n");
+            return {
+                contentId: head.match(/Content-ID: <(.+)>/)[1],
+                line: rest[0].split("\r\n")[0],
+                body: rest[1]?.trim() || null,
+            };
+        });
+}
+
+/** Multipart response text with the given parts (Google's framing, CRLF). */
+function responseText(boundary, parts) {
+    const chunks = parts.map(({ id, status, reason = "OK", body, headers = [] }) =>
+        [
+            `--${boundary}`,
+            "Content-Type: application/http",
+            `Content-ID: <response-item-${id}>`,
+            "",
+            `HTTP/1.1 ${status} ${reason}`,
+            ...headers,
+            ...(body === undefined
+                ? ["", ""]
+                : ["Content-Type: application/json; charset=UTF-8", "", JSON.stringify(body)]),
+        ].join("\r\n")
+    );
+    return `${chunks.join("\r\n")}\r\n--${boundary}--\r\n`;
+}
+
+/** Fake OAuth client answering each batch with `respond(requests)`. */
+function fakeAuth(respond, { quoted = false } = {}) {
+    const sent = [];
+    return {
+        sent,
+        async request({ url, method, headers, data }) {
+            assert.equal(url, "https://www.googleapis.com/batch/calendar/v3");
+            assert.equal(method, "POST");
+            const requests = requestsOf(data, headers["Content-Type"]);
+            sent.push(requests);
+            const boundary = "batch_response_xyz";
+            return {
+                headers: {
+                    "content-type": `multipart/mixed; boundary=${quoted ? `"${boundary}"` : boundary}`,
+                },
+                data: responseText(boundary, respond(requests)),
+            };
+        },
+    };
+}
+
+const noSingles = {
+    events: new Proxy({}, { get: () => () => assert.fail("unexpected single call") }),
+};
+
+test("calls queued in one turn go out as one multipart request", async () => {
+    const auth = fakeAuth((reqs) =>
+        reqs.map((r, i) => ({ id: i, status: i === 2 ? 204 : 200, body: i === 2 ? undefined : { id: `t${i}` } }))
+    );
+    const stats = { apiCalls: 0, retries: 0 };
+    const { events } = createBatcher(noSingles, auth, { stats });
+
+    const results = await Promise.all([
+        events.insert({ calendarId: "a@group.calendar.google.com", requestBody: { summary: "x" } }),
+        events.patch({ calendarId: "tgt", eventId: "e/1", requestBody: { summary: "y" } }),
+        events.delete({ calendarId: "tgt", eventId: "e2" }),
+    ]);
+
+    assert.equal(auth.sent.length, 1);
+    assert.deepEqual(auth.sent[0], [
+        {
+            contentId: "item-0",
+            line: "POST /calendar/v3/calendars/a%40group.calendar.google.com/events HTTP/1.1",
+            body: '{"summary":"x"}',
+        },
+        {
+            contentId: "item-1",
+            line: "PATCH /calendar/v3/calendars/tgt/events/e%2F1 HTTP/1.1",
+            body: '{"summary":"y"}',
+        },
+        { contentId: "item-2", line: "DELETE /calendar/v3/calendars/tgt/events/e2 HTTP/1.1", body: null },
+    ]);
+    assert.deepEqual(results, [
+        { status: 200, data: { id: "t0" } },
+        { status: 200, data: { id: "t1" } },
+        { status: 204, data: "" },
+    ]);
+    assert.equal(stats.apiCalls, 1);
+    assert.equal(stats.batches, 1);
+});
+
+test("responses are matched by Content-ID, not by order", async () => {
+    const auth = fakeAuth(
+        (reqs) => reqs.map((r, i) => ({ id: i, status: 200, body: { n: i } })).reverse(),
+        { quoted: true }
+    );
+    const { events } = createBatcher(noSingles, auth);
+    const out = await Promise.all([0, 1, 2].map((i) => events.delete({ calendarId: "c", eventId: `e${i}` })));
+    assert.deepEqual(
+        out.map((r) => r.data.n),
+        [0, 1, 2]
+    );
+});
+
+test("a failing part rejects alone with a googleapis-shaped error", async () => {
+    const auth = fakeAuth(() => [
+        { id: 0, status: 200, body: { id: "ok" } },
+        {
+            id: 1,
+            status: 404,
+            reason: "Not Found",
+            headers: ["Vary: Origin"],
+            body: { error: { code: 404, message: "Not Found", errors: [{ reason: "notFound" }] } },
+        },
+    ]);
+    const { events } = createBatcher(noSingles, auth);
+    const [ok, failed] = await Promise.allSettled([
+        events.update({ calendarId: "c", eventId: "a", requestBody: {} }),
+        events.delete({ calendarId: "c", eventId: "gone" }),
+    ]);
+    assert.equal(ok.status, "fulfilled");
+    assert.equal(failed.status, "rejected");
+    assert.equal(failed.reason.message, "Not Found");
+    assert.equal(failed.reason.code, 404);
+    assert.deepEqual(failed.reason.errors, [{ reason: "notFound" }]);
+    assert.equal(failed.reason.response.headers.vary, "Origin");
+});
+
+test("retryable and missing parts are re-sent as single calls", async () => {
+    const auth = fakeAuth(() => [
+        { id: 0, status: 503, reason: "Service Unavailable", body: { error: { message: "backend" } } },
+        { id: 1, status: 200, body: { id: "fine" } },
+        // item 2 missing from the response
+    ]);
+    const singles = [];
+    const calendar = {
+        events: {
+            patch: async (params) => {
+                singles.push(params.eventId);
+                return { status: 200, data: { id: params.eventId } };
+            },
+        },
+    };
+    const { events } = createBatcher(calendar, auth);
+    const out = await Promise.all(
+        ["a", "b", "c"].map((eventId) => events.patch({ calendarId: "c", eventId, requestBody: {} }))
+    );
+    assert.deepEqual(singles, ["a", "c"]);
+    assert.deepEqual(
+        out.map((r) => r.data.id),
+        ["a", "fine", "c"]
+    );
+});
+
+test("a full queue is sent without waiting for the next turn", async () => {
+    const auth = fakeAuth((reqs) => reqs.map((r, i) => ({ id: i, status: 204 })));
+    const { events } = createBatcher(noSingles, auth, { size: 2 });
+    const pending = [1, 2, 3, 4, 5].map((i) => events.delete({ calendarId: "c", eventId: `e${i}` }));
+    assert.equal(auth.sent.length, 2); // two full batches went out synchronously
+    await Promise.all(pending);
+    assert.deepEqual(
+        auth.sent.map((b) => b.length),
+        [2, 2, 1]
+    );
+});
+
+test("a failed batch request rejects every call in it", async () => {
+    const auth = {
+        async request() {
+            const e = new Error("Invalid Credentials");
+            e.code = 401;
+            throw e;
+        },
+    };
+    const { events } = createBatcher(noSingles, auth);
+    const out = await Promise.allSettled([
+        events.delete({ calendarId: "c", eventId: "a" }),
+        events.delete({ calendarId: "c", eventId: "b" }),
+    ]);
+    assert.deepEqual(
+        out.map((r) => r.reason?.message),
+        ["Invalid Credentials", "Invalid Credentials"]
+    );
+});
@@ -0,0 +1,114 @@
+// test/filterExpr.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { compileFilter } from "../scripts/filterExpr.js";
+
+const ev = (summary, more = {}) => ({ summary, ...more });
+
+/** Syntax error message for `expr`, or null when it compiles. */
+function syntaxError(expr) {
+    try {
+        compileFilter(expr);
+        return null;
+    } catch (e) {
+        return e.message;
+    }
+}
+
+test("bare words and quoted phrases are accent/case-insensitive substrings", () => {
+    const word = compileFilter("optimization");
+    assert.equal(word(ev("Convex Optimization")), true);
+    assert.equal(word(ev("Optimal transport")), false);
+
+    const phrase = compileFilter('"Peyre   G."');
+    assert.equal(phrase(ev("Optimal transport - Peyré G.")), true);
+    assert.equal(phrase(ev("Peyré, G.")), false);
+
+    const escaped = compileFilter('"say \\"hi\\""');
+    assert.equal(escaped(ev('They say "hi" twice')), true);
+});
+
+test("/regex/ terms are case-insensitive unless they carry flags", () => {
+    const re = compileFilter("/TD\\s+\\d+/");
+    assert.equal(re(ev("td 12 - groupe A")), true);
+    assert.equal(re(ev("TD A")), false);
+
+    const exact = compileFilter("/^Exam$/s");
+    assert.equal(exact(ev("Exam")), true);
+    assert.equal(exact(ev("exam")), false);
+
+    const withSlash = compileFilter("/a\\/b/");
+    assert.equal(withSlash(ev("A/B")), true);
+
+    const global = compileFilter("/exam/g");
+    assert.equal(global(ev("exam")), true);
+    assert.equal(global(ev("exam")), true); // lastIndex is reset between events
+});
+
+test("NOT binds tighter than AND, and AND tighter than OR", () => {
+    // a OR (b AND (NOT c))
+    const f = compileFilter("a OR b AND NOT c");
+    assert.equal(f(ev("a c")), true);
+    assert.equal(f(ev("b")), true);
+    assert.equal(f(ev("b c")), false);
+    assert.equal(f(ev("c")), false);
+
+    const notNot = compileFilter("NOT NOT a");
+    assert.equal(notNot(ev("a")), true);
+});
+
+test("adjacent terms are ANDed", () => {
+    const f = compileFilter("convex optimization");
+    assert.equal(f(ev("Optimization, convex")), true);
+    assert.equal(f(ev("Convex analysis")), false);
+});
+
+test("parentheses group sub-expressions", () => {
+    const f = compileFilter("(a OR b) AND NOT (c OR d)");
+    assert.equal(f(ev("a")), true);
+    assert.equal(f(ev("b")), true);
+    assert.equal(f(ev("a d")), false);
+    assert.equal(f(ev("e")), false);
+});
+
+test("field scoping restricts a term to that field", () => {
+    const f = compileFilter('summary:exam AND NOT location:"online"');
+    assert.equal(f(ev("Final exam", { location: "Room 101" })), true);
+    assert.equal(f(ev("Final exam", { location: "Online" })), false);
+    assert.equal(f(ev("Lecture", { description: "exam review" })), false);
+
+    const person = compileFilter("organizer:/@school\\.edu$/");
+    assert.equal(person(ev("x", { organizer: { email: "prof@school.edu" } })), true);
+    assert.equal(person(ev("x", { creator: { email: "prof@school.edu" } })), false);
+
+    assert.equal(compileFilter("creator:alice")(ev("x", { creator: { displayName: "Alice" } })), true);
+});
+
+test("unscoped terms search summary, description and location", () => {
+    const f = compileFilter("amphi");
+    assert.equal(f(ev("x", { description: "in the amphi" })), true);
+    assert.equal(f(ev("x", { location: "Amphi B" })), true);
+    assert.equal(f(ev("x", { organizer: { displayName: "amphi" } })), false);
+});
+
+test("an unknown field prefix is an ordinary word", () => {
+    const f = compileFilter("room:101");
+    assert.equal(f(ev("room:101")), true);
+    assert.equal(f(ev("101")), false);
+});
+
+test("syntax errors report the 1-based position", () => {
+    assert.equal(syntaxError(""), "Filter syntax error at position 1: empty expression");
+    assert.equal(
+        syntaxError("a AND"),
+        "Filter syntax error at position 6: unexpected end of expression"
+    );
+    assert.equal(syntaxError('a "open'), "Filter syntax error at position 3: unterminated quoted phrase");
+    assert.equal(syntaxError("a /open"), "Filter syntax error at position 3: unterminated regex");
+    assert.match(syntaxError("/(/"), /^Filter syntax error at position 1: invalid regex: /);
+    assert.equal(syntaxError("(a OR b"), 'Filter syntax error at position 8: expected ")"');
+    assert.equal(syntaxError("a ) b"), 'Filter syntax error at position 3: unexpected ")"');
+    assert.equal(syntaxError("summary: AND a"), 'Filter syntax error at position 10: expected a value after "summary:"');
+    assert.equal(syntaxError('""'), "Filter syntax error at position 1: empty phrase");
+    assert.equal(syntaxError("a OR OR b"), 'Filter syntax error at position 6: unexpected "OR"');
+});
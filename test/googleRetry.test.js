@@ -0,0 +1,176 @@
+// test/googleRetry.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { classifyError, createLimiter, withRetry, withRetries } from "../scripts/googleRetry.js";
+
+const tick = () => new Promise((r) => setTimeout(r, 1));
+
+/** Google-style HTTP error as thrown by the clients (gaxios). */
+function httpError(status, { reason, headers } = {}) {
+    const e = new Error(`Request failed with status ${status}`);
+    e.status = status;
+    e.code = status;
+    e.errors = reason ? [{ reason }] : undefined;
+    e.response = { status, headers: headers ?? {}, data: {} };
+    return e;
+}
+
+function networkError(code, { viaCause = false } = {}) {
+    const e = new Error(`socket ${code}`);
+    if (viaCause) e.cause = Object.assign(new Error(code), { code });
+    else e.code = code;
+    return e;
+}
+
+/** A fake clock that sleep() advances; no real waiting. */
+function fakeTime(start = Date.parse("2026-01-05T10:00:00Z")) {
+    let t = start;
+    const waits = [];
+    return {
+        waits,
+        now: () => t,
+        sleep: async (ms) => {
+            waits.push(ms);
+            t += ms;
+        },
+    };
+}
+
+/** fn failing with the given errors in turn, then returning "ok". */
+function failing(...errors) {
+    let calls = 0;
+    const fn = async () => {
+        const e = errors[calls++];
+        if (e) throw e;
+        return "ok";
+    };
+    fn.calls = () => calls;
+    return fn;
+}
+
+test("classifyError: rate limits, transient and fatal failures", () => {
+    assert.equal(classifyError(httpError(429)), "rate_limit");
+    assert.equal(classifyError(httpError(403, { reason: "rateLimitExceeded" })), "rate_limit");
+    assert.equal(classifyError(httpError(403, { reason: "userRateLimitExceeded" })), "rate_limit");
+    assert.equal(classifyError(httpError(403, { reason: "forbidden" })), "fatal");
+    assert.equal(classifyError(httpError(403)), "fatal");
+    assert.equal(classifyError(httpError(500)), "transient");
+    assert.equal(classifyError(httpError(503)), "transient");
+    assert.equal(classifyError(networkError("ECONNRESET")), "transient");
+    assert.equal(classifyError(networkError("ETIMEDOUT")), "transient");
+    assert.equal(classifyError(networkError("ECONNRESET", { viaCause: true })), "transient");
+    assert.equal(classifyError(httpError(400)), "fatal");
+    assert.equal(classifyError(httpError(404)), "fatal");
+    assert.equal(classifyError(httpError(410)), "fatal");
+    assert.equal(classifyError(new Error("boom")), "fatal");
+});
+
+test("withRetry retries transient failures and counts calls and retries", async () => {
+    const time = fakeTime();
+    const stats = { apiCalls: 0, retries: 0 };
+    const warnings = [];
+    const log = { warn: (obj, msg) => warnings.push({ ...obj, msg }) };
+    const fn = failing(httpError(503), networkError("ETIMEDOUT"), httpError(429));
+
+    assert.equal(await withRetry(fn, { stats, log, ...time, baseMs: 100, maxDelayMs: 1000 }), "ok");
+    assert.equal(fn.calls(), 4);
+    assert.deepEqual(stats, { apiCalls: 4, retries: 3 });
+    assert.deepEqual(warnings.map((w) => w.kind), ["transient", "transient", "rate_limit"]);
+    // jittered backoff stays under base * 2^attempt
+    time.waits.forEach((ms, i) => assert.ok(ms >= 0 && ms <= 100 * 2 ** i, `wait ${i}: ${ms}`));
+});
+
+test("withRetry honors Retry-After given in seconds", async () => {
+    const time = fakeTime();
+    const fn = failing(httpError(429, { headers: { "retry-after": "7" } }));
+    assert.equal(await withRetry(fn, { ...time, baseMs: 1 }), "ok");
+    assert.deepEqual(time.waits, [7000]);
+});
+
+test("withRetry honors Retry-After given as an HTTP date", async () => {
+    const time = fakeTime(Date.parse("2026-01-05T10:00:00Z"));
+    const headers = new Headers({ "retry-after": "Mon, 05 Jan 2026 10:00:12 GMT" });
+    const fn = failing(httpError(503, { headers }));
+    assert.equal(await withRetry(fn, { ...time, baseMs: 1 }), "ok");
+    assert.deepEqual(time.waits, [12_000]);
+});
+
+test("withRetry gives up once the next wait would exceed the time budget", async () => {
+    const time = fakeTime();
+    const stats = { apiCalls: 0, retries: 0 };
+    const err = httpError(429, { headers: { "retry-after": "30" } });
+    const fn = failing(err, err, err, err, err);
+
+    const thrown = await withRetry(fn, { stats, ...time, maxTotalMs: 100_000 }).catch((e) => e);
+    assert.equal(thrown, err);
+    // 30s + 30s + 30s fit in 100s; a fourth wait would not
+    assert.deepEqual(time.waits, [30_000, 30_000, 30_000]);
+    assert.deepEqual(stats, { apiCalls: 4, retries: 3 });
+});
+
+test("withRetry passes fatal errors straight through", async () => {
+    for (const err of [httpError(400), httpError(403), httpError(404), httpError(410)]) {
+        const time = fakeTime();
+        const stats = { apiCalls: 0, retries: 0 };
+        const fn = failing(err);
+        const thrown = await withRetry(fn, { stats, ...time }).catch((e) => e);
+        assert.equal(thrown, err);
+        assert.equal(fn.calls(), 1);
+        assert.deepEqual(time.waits, []);
+        assert.deepEqual(stats, { apiCalls: 1, retries: 0 });
+    }
+});
+
+test("a limiter runs at most max calls at once, in order", async () => {
+    const limit = createLimiter(2);
+    let active = 0;
+    let peak = 0;
+    const started = [];
+    const out = await Promise.allSettled(
+        [1, 2, 3, 4, 5].map((n) =>
+            limit(async () => {
+                started.push(n);
+                peak = Math.max(peak, ++active);
+                await tick();
+                active--;
+                if (n === 2) throw new Error("boom");
+                return n * 10;
+            })
+        )
+    );
+    assert.equal(peak, 2);
+    assert.deepEqual(started, [1, 2, 3, 4, 5]);
+    assert.deepEqual(
+        out.map((r) => r.value ?? r.reason.message),
+        [10, "boom", 30, 40, 50]
+    );
+});
+
+test("nested fan-out through a shared limiter stays within its budget", async () => {
+    let active = 0;
+    let peak = 0;
+    const client = {
+        events: {
+            async get({ eventId }) {
+                peak = Math.max(peak, ++active);
+                await tick();
+                active--;
+                return { data: { id: eventId } };
+            },
+        },
+    };
+    const stats = { apiCalls: 0, retries: 0 };
+    const calendar = withRetries(client, { stats, limit: createLimiter(3) });
+
+    // 5 outer items, each reading itself and then 4 instances at once
+    await Promise.all(
+        [0, 1, 2, 3, 4].map(async (i) => {
+            await calendar.events.get({ eventId: `m${i}` });
+            await Promise.all(
+                [0, 1, 2, 3].map((j) => calendar.events.get({ eventId: `m${i}_${j}` }))
+            );
+        })
+    );
+    assert.equal(peak, 3);
+    assert.equal(stats.apiCalls, 25);
+});
@@ -0,0 +1,121 @@
+// test/lease.test.js
+// acquireLease against a freshly migrated scratch database. Holders other than this
+// process are written into run_locks directly.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import Database from "better-sqlite3";
+import { acquireLease } from "../scripts/lease.js";
+
+const SCRIPTS = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "scripts");
+
+let dir, db;
+
+before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "gcfs-lease-"));
+    const env = {
+        ...process.env,
+        DOTENV_CONFIG_PATH: path.join(dir, "none.env"), // keep the repo's .env out
+        DOTENV_CONFIG_QUIET: "true",
+        DB_PATH: path.join(dir, "sync.db"),
+    };
+    const migrated = spawnSync(process.execPath, [path.join(SCRIPTS, "migrate.js")], { env });
+    assert.equal(migrated.status, 0, migrated.stderr?.toString());
+    db = new Database(env.DB_PATH);
+});
+
+after(() => {
+    db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/** Put a lease held by someone else in place. */
+function holdAs(name, { pid, host = os.hostname(), expiresIn = 60_000 }) {
+    const now = Date.now();
+    db.prepare(
+        `INSERT OR REPLACE INTO run_locks(name,owner,pid,host,acquired_at,heartbeat_at,expires_at)
+         VALUES(?,?,?,?,?,?,?)`
+    ).run(name, "someone-else", pid, host, now, now, now + expiresIn);
+}
+
+/** The pid of a process that has already exited. */
+function deadPid() {
+    const child = spawnSync(process.execPath, ["-e", ""]);
+    return child.pid;
+}
+
+test("a live holder keeps its lease", () => {
+    holdAs("sub:live", { pid: process.ppid });
+    const got = acquireLease(db, "sub:live");
+    assert.equal(got.lease, undefined);
+    assert.equal(got.holder.owner, "someone-else");
+    assert.equal(got.holder.pid, process.ppid);
+
+    // on another host liveness cannot be checked, so only the expiry counts
+    holdAs("sub:remote", { pid: deadPid(), host: "elsewhere.example" });
+    assert.equal(acquireLease(db, "sub:remote").holder?.host, "elsewhere.example");
+});
+
+test("an expired lease is taken over", () => {
+    holdAs("sub:expired", { pid: process.ppid, host: "elsewhere.example", expiresIn: -1 });
+    const { lease } = acquireLease(db, "sub:expired");
+    try {
+        assert.equal(lease.takenOver.owner, "someone-else");
+        const row = db.prepare(`SELECT * FROM run_locks WHERE name=?`).get("sub:expired");
+        assert.equal(row.pid, process.pid);
+        assert.ok(row.expires_at > Date.now());
+    } finally {
+        lease.release();
+    }
+    assert.equal(db.prepare(`SELECT 1 FROM run_locks WHERE name=?`).get("sub:expired"), undefined);
+});
+
+test("a lease left by a dead process on this host is taken over before it expires", () => {
+    const pid = deadPid();
+    holdAs("sub:dead", { pid });
+    const { lease } = acquireLease(db, "sub:dead");
+    try {
+        assert.equal(lease.takenOver.pid, pid);
+        assert.equal(acquireLease(db, "sub:dead").holder?.pid, process.pid);
+    } finally {
+        lease.release();
+    }
+});
+
+test("the heartbeat notices a lost lease", async () => {
+    let lost = 0;
+    const { lease } = acquireLease(db, "sub:stolen", { ttlMs: 3000, onLost: () => lost++ });
+    try {
+        holdAs("sub:stolen", { pid: process.ppid }); // replaced behind our back
+        await new Promise((r) => setTimeout(r, 1200)); // heartbeats every max(1s, ttl/3)
+        assert.equal(lost, 1);
+
+        // release() leaves the new holder's lease alone
+        lease.release();
+        assert.equal(
+            db.prepare(`SELECT owner FROM run_locks WHERE name=?`).get("sub:stolen").owner,
+            "someone-else"
+        );
+    } finally {
+        lease.release();
+    }
+});
+
+test("the heartbeat keeps a held lease from expiring", async () => {
+    let lost = 0;
+    const { lease } = acquireLease(db, "sub:kept", { ttlMs: 3000, onLost: () => lost++ });
+    try {
+        const first = db.prepare(`SELECT * FROM run_locks WHERE name=?`).get("sub:kept");
+        await new Promise((r) => setTimeout(r, 1200));
+        const later = db.prepare(`SELECT * FROM run_locks WHERE name=?`).get("sub:kept");
+        assert.equal(lost, 0);
+        assert.ok(later.heartbeat_at > first.heartbeat_at);
+        assert.ok(later.expires_at > first.expires_at);
+    } finally {
+        lease.release();
+    }
+});
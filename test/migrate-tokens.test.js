@@ -0,0 +1,117 @@
+// test/migrate-tokens.test.js
+// Runs migrate-tokens.js between a scratch token directory and a migrated scratch
+// database. Entries are seeded in-process with the same secret the script gets.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import Database from "better-sqlite3";
+import { createTokenStore, fileBackend, sqliteBackend } from "../scripts/tokenStore.js";
+
+const SCRIPTS = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "scripts");
+const SECRET = "test-secret-test-secret-test-secret";
+
+let dir, env, db, files, table;
+
+function run(...args) {
+    const r = spawnSync(process.execPath, [path.join(SCRIPTS, "migrate-tokens.js"), ...args], { env });
+    return { status: r.status, stdout: r.stdout.toString(), stderr: r.stderr.toString() };
+}
+
+const tokens = (refresh) => ({ tokens: { refresh_token: refresh } });
+
+before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "gcfs-migrate-tokens-"));
+    env = {
+        ...process.env,
+        DOTENV_CONFIG_PATH: path.join(dir, "none.env"), // keep the repo's .env out
+        DOTENV_CONFIG_QUIET: "true",
+        DB_PATH: path.join(dir, "sync.db"),
+        TOKENSTORE_SECRET: SECRET,
+        TOKENSTORE_DIR: path.join(dir, "tokens"),
+    };
+    delete env.TOKENSTORE_PREVIOUS_SECRET;
+    const migrated = spawnSync(process.execPath, [path.join(SCRIPTS, "migrate.js")], { env });
+    assert.equal(migrated.status, 0, migrated.stderr?.toString());
+
+    process.env.TOKENSTORE_SECRET = SECRET;
+    delete process.env.TOKENSTORE_PREVIOUS_SECRET;
+    db = new Database(env.DB_PATH);
+    files = fileBackend(env.TOKENSTORE_DIR);
+    table = sqliteBackend(db);
+});
+
+after(() => {
+    db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("wrong or missing --to is a usage error", () => {
+    assert.equal(run().status, 2);
+    assert.equal(run("--to=redis").status, 2);
+    assert.equal(run("--to=sqlite", "--force").status, 2);
+});
+
+test("files move to the table unchanged, and a second run has nothing to do", async () => {
+    const fileStore = createTokenStore(files);
+    await fileStore.save("p1", tokens("r1"));
+    await fileStore.save("p2", tokens("r2"));
+
+    const dry = run("--to=sqlite", "--dry-run");
+    assert.equal(dry.status, 0, dry.stderr);
+    assert.match(dry.stdout, /\+ copy p1/);
+    assert.match(dry.stdout, /\+ copy p2/);
+    assert.deepEqual(table.list(), []);
+
+    const copied = run("--to=sqlite");
+    assert.equal(copied.status, 0, copied.stderr);
+    assert.match(copied.stdout, /Copied 2 profile\(s\)/);
+    assert.ok(table.read("p1").equals(files.read("p1")), "copied still encrypted, byte for byte");
+    assert.deepEqual(await createTokenStore(table).load("p2"), tokens("r2"));
+    assert.deepEqual(files.list().sort(), ["p1", "p2"]); // files are kept
+
+    const again = run("--to=sqlite");
+    assert.equal(again.status, 0, again.stderr);
+    assert.match(again.stdout, /= p1 \(already there\)/);
+    assert.match(again.stdout, /Copied 0 profile\(s\); all 2 decrypt/);
+});
+
+test("different tokens in the destination stop the copy unless --overwrite", async () => {
+    await createTokenStore(table).save("p1", tokens("newer"));
+    await createTokenStore(files).save("p3", tokens("r3"));
+
+    const refused = run("--to=file");
+    assert.equal(refused.status, 1);
+    assert.match(refused.stderr, /Nothing was copied/);
+    assert.match(refused.stderr, /p1: already in file with different tokens/);
+    assert.deepEqual(await createTokenStore(files).load("p1"), tokens("r1"));
+
+    const replaced = run("--to=file", "--overwrite");
+    assert.equal(replaced.status, 0, replaced.stderr);
+    assert.match(replaced.stdout, /~ replace p1/);
+    assert.deepEqual(await createTokenStore(files).load("p1"), tokens("newer"));
+});
+
+test("an entry that does not decrypt stops the copy before anything is written", async () => {
+    process.env.TOKENSTORE_SECRET = "another-secret-another-secret-another";
+    await createTokenStore(files).save("p4", tokens("r4"));
+    process.env.TOKENSTORE_SECRET = SECRET;
+    const before = table.list();
+
+    const r = run("--to=sqlite");
+    assert.equal(r.status, 1);
+    assert.match(r.stderr, /p4: cannot be decrypted/);
+    assert.deepEqual(table.list(), before);
+    files.remove("p4");
+});
+
+test("--remove-source deletes what was copied from the source", () => {
+    const r = run("--to=file", "--remove-source");
+    assert.equal(r.status, 0, r.stderr);
+    assert.match(r.stdout, /Removed them from sqlite store/);
+    assert.deepEqual(table.list(), []);
+    assert.deepEqual(files.list().sort(), ["p1", "p2", "p3"]);
+});
@@ -0,0 +1,84 @@
+// test/profiles.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { authClientFor, authFailureReason, reconnectCommand } from "../scripts/profiles.js";
+
+/** Google-style HTTP error as thrown by the clients (gaxios). */
+function httpError(status, data) {
+    const e = new Error(typeof data?.error === "string" ? data.error : "Request failed");
+    e.status = status;
+    e.code = String(status);
+    e.response = { status, data };
+    return e;
+}
+
+test("token endpoint grant errors and a missing refresh token need a new login", () => {
+    assert.equal(authFailureReason(httpError(400, { error: "invalid_grant" })), "invalid_grant");
+    assert.equal(authFailureReason(httpError(401, { error: "unauthorized_client" })), "unauthorized_client");
+    assert.equal(authFailureReason(httpError(401, { error: "invalid_client" })), "invalid_client");
+    assert.equal(authFailureReason(new Error("invalid_grant")), "invalid_grant");
+    assert.throws(
+        () => authClientFor("p1", { tokens: {} }),
+        (e) => authFailureReason(e) === "no refresh token stored"
+    );
+});
+
+test("other failures, a plain 401 included, do not", () => {
+    assert.equal(
+        authFailureReason(httpError(401, { error: { code: 401, message: "Invalid Credentials" } })),
+        null
+    );
+    assert.equal(authFailureReason(httpError(403, { error: { message: "Forbidden" } })), null);
+    assert.equal(authFailureReason(httpError(500, {})), null);
+    assert.equal(authFailureReason(undefined), null);
+});
+
+test("a 401 is retried once with a refreshed access token", async () => {
+    const seen = [];
+    const server = http.createServer((req, res) => {
+        seen.push(req.headers.authorization);
+        const ok = req.headers.authorization === "Bearer fresh";
+        res.writeHead(ok ? 200 : 401, { "content-type": "application/json" });
+        res.end(JSON.stringify(ok ? { ok: true } : { error: { code: 401, message: "Invalid Credentials" } }));
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    const url = `http://127.0.0.1:${server.address().port}/`;
+    try {
+        const auth = authClientFor("p1", { tokens: { refresh_token: "r" } });
+        let refreshes = 0;
+        const issue = (token) => (auth.refreshToken = async () => {
+            refreshes++;
+            return { tokens: { access_token: token, expiry_date: Date.now() + 3600_000 }, res: null };
+        });
+
+        auth.setCredentials({ refresh_token: "r", access_token: "stale", expiry_date: Date.now() + 3600_000 });
+        issue("fresh");
+        const { data } = await auth.request({ url });
+        assert.deepEqual(data, { ok: true });
+        assert.equal(refreshes, 1);
+        assert.deepEqual(seen, ["Bearer stale", "Bearer fresh"]);
+
+        // still 401 after the refresh: an ordinary failure, not a lockout
+        issue("stale"); // the refreshed token is refused too
+        auth.setCredentials({ refresh_token: "r", access_token: "stale", expiry_date: Date.now() + 3600_000 });
+        const err = await auth.request({ url }).catch((e) => e);
+        assert.equal(err.status, 401);
+        assert.equal(authFailureReason(err), null);
+    } finally {
+        server.close();
+    }
+});
+
+test("reconnectCommand depends on how the profile signs in", () => {
+    assert.equal(reconnectCommand("p1"), "npm run login:local -- p1");
+    assert.equal(reconnectCommand("p1", { tokens: { refresh_token: "r" } }), "npm run login:local -- p1");
+    assert.equal(
+        reconnectCommand("sa1", { type: "service_account", subject: "staff@example.edu" }),
+        "npm run connect:sa -- <KEY_FILE.json> staff@example.edu sa1"
+    );
+    assert.equal(
+        reconnectCommand("sa1", { type: "service_account" }),
+        "npm run connect:sa -- <KEY_FILE.json> <USER_EMAIL> sa1"
+    );
+});
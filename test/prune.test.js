@@ -0,0 +1,101 @@
+// test/prune.test.js
+// pruneStaleMappings in plan mode against a migrated scratch database: which
+// mappings are trusted to the backfill listing and which are looked up one by one.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import Database from "better-sqlite3";
+
+const SCRIPTS = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "scripts");
+
+const WINDOW = { timeMin: "2026-03-01T00:00:00.000Z", timeMax: "2026-09-01T00:00:00.000Z" };
+
+let dir, db, pruneStaleMappings;
+
+before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "gcfs-prune-"));
+    Object.assign(process.env, {
+        DOTENV_CONFIG_PATH: path.join(dir, "none.env"), // keep the repo's .env out
+        DOTENV_CONFIG_QUIET: "true",
+        DB_PATH: path.join(dir, "sync.db"),
+        TOKENSTORE_SECRET: "test-secret-test-secret-test-secret",
+        TOKENSTORE_DIR: path.join(dir, "tokens"),
+        TOKENSTORE_BACKEND: "file",
+        LOG_LEVEL: "silent",
+    });
+    const migrated = spawnSync(process.execPath, [path.join(SCRIPTS, "migrate.js")]);
+    assert.equal(migrated.status, 0, migrated.stderr?.toString());
+    db = new Database(process.env.DB_PATH);
+    ({ pruneStaleMappings } = await import("../scripts/worker.js"));
+});
+
+after(() => {
+    db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("mappings near or outside the listed window are looked up, not assumed deleted", async () => {
+    db.prepare(
+        `INSERT INTO subscriptions(id,token_key,source_calendar_id,target_calendar_id,filters_raw,is_enabled,created_at,updated_at)
+         VALUES('s1','p1','src','tgt','x',1,0,0)`
+    ).run();
+    const addMapping = db.prepare(
+        `INSERT INTO event_mappings(subscription_id,source_id,target_id,etag,start_at) VALUES('s1',?,?,'e',?)`
+    );
+    const mappings = {
+        listed: "2026-05-01T09:00:00.000Z", // in the listing: still there
+        deleted: "2026-05-02T09:00:00.000Z", // well inside, not listed: gone
+        "margin-start": "2026-03-01T12:00:00.000Z", // inside, but within a day of timeMin
+        "margin-end": "2026-08-31T20:00:00.000Z", // inside, but within a day of timeMax
+        before: "2026-02-28T23:00:00.000Z", // just outside
+        after: "2026-09-01T00:00:00.000Z", // timeMax itself is outside
+        "gone-outside": "2026-02-01T09:00:00.000Z", // outside and deleted
+        "no-start": null,
+    };
+    for (const [id, startAt] of Object.entries(mappings)) addMapping.run(id, `t-${id}`, startAt);
+
+    const event = (id) => ({ id, status: "confirmed", start: { dateTime: mappings[id] ?? "2026-04-01T09:00:00Z" } });
+    const fetched = [];
+    const planned = [];
+    const ctx = {
+        sub: db.prepare(`SELECT * FROM subscriptions WHERE id='s1'`).get(),
+        seen: new Map([["listed", event("listed")]]),
+        window: WINDOW,
+        source: {
+            async event(id) {
+                fetched.push(id);
+                return id === "gone-outside" ? null : event(id);
+            },
+        },
+        calendar: {
+            events: {
+                async get() {
+                    throw Object.assign(new Error("Not Found"), { code: 404 });
+                },
+            },
+        },
+        plan: { record: (kind, { sourceId, reason }) => planned.push({ kind, sourceId, reason }) },
+        locks: new Map(),
+        leftAlone: new Set(),
+        batched: false,
+    };
+
+    const { removed } = await pruneStaleMappings(ctx, () => true);
+
+    assert.deepEqual(
+        fetched.sort(),
+        ["after", "before", "gone-outside", "margin-end", "margin-start", "no-start"]
+    );
+    assert.deepEqual(
+        planned.sort((a, b) => a.sourceId.localeCompare(b.sourceId)),
+        [
+            { kind: "delete", sourceId: "deleted", reason: "deleted in source" },
+            { kind: "delete", sourceId: "gone-outside", reason: "deleted in source" },
+        ]
+    );
+    assert.equal(removed, 2);
+});
@@ -0,0 +1,185 @@
+// test/push-receiver.test.js
+// Starts the receiver on a free port against a scratch database and posts fake
+// Google notification headers to it. No Google credentials are stored, so triggered
+// syncs fail right away; the "push → sync" log line shows which subscriptions ran.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn, spawnSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import Database from "better-sqlite3";
+
+const SCRIPTS = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "scripts");
+const DEBOUNCE_MS = 50;
+
+let dir, env, receiver, baseUrl;
+const logs = [];
+
+/** Resolves with the first log entry matching `pred` (already seen or still to come). */
+function waitForLog(pred, timeoutMs = 5000) {
+    return new Promise((resolve, reject) => {
+        const started = Date.now();
+        const poll = () => {
+            const hit = logs.find(pred);
+            if (hit) return resolve(hit);
+            if (Date.now() - started > timeoutMs) return reject(new Error("log entry not seen"));
+            setTimeout(poll, 20);
+        };
+        poll();
+    });
+}
+
+function notify(headers, { method = "POST", pathname = "/notifications" } = {}) {
+    return fetch(`${baseUrl}${pathname}`, { method, headers });
+}
+
+before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "gcfs-push-"));
+    env = {
+        ...process.env,
+        DOTENV_CONFIG_PATH: path.join(dir, "none.env"), // keep the repo's .env out
+        DOTENV_CONFIG_QUIET: "true",
+        DB_PATH: path.join(dir, "sync.db"),
+        TOKENSTORE_SECRET: "test-secret-test-secret-test-secret",
+        TOKENSTORE_DIR: path.join(dir, "tokens"),
+        TOKENSTORE_BACKEND: "file",
+        PUSH_PORT: "0",
+        PUSH_WEBHOOK_URL: "", // accept notifications, register no channels
+        PUSH_DEBOUNCE_MS: String(DEBOUNCE_MS),
+        LOG_LEVEL: "info",
+    };
+    const migrated = spawnSync(process.execPath, [path.join(SCRIPTS, "migrate.js")], { env });
+    assert.equal(migrated.status, 0, migrated.stderr?.toString());
+
+    const db = new Database(env.DB_PATH);
+    const addSub = db.prepare(
+        `INSERT INTO subscriptions(id,token_key,source_calendar_id,target_calendar_id,filters_raw,is_enabled,created_at,updated_at)
+         VALUES(?,?,?,?,'x',?,0,0)`
+    );
+    addSub.run("sub-a1", "p1", "src-a", "tgt-1", 1);
+    addSub.run("sub-a2", "p1", "src-a", "tgt-2", 1);
+    addSub.run("sub-a3-off", "p1", "src-a", "tgt-3", 0);
+    addSub.run("sub-a-other-profile", "p2", "src-a", "tgt-1", 1);
+    addSub.run("sub-b", "p1", "src-b", "tgt-1", 1);
+    db.prepare(
+        `INSERT INTO watch_channels(channel_id,resource_id,token_key,source_calendar_id,channel_token,expiration,created_at)
+         VALUES('chan-a','res-a','p1','src-a','secret-token',?,0)`
+    ).run(Date.now() + 3600_000);
+    db.close();
+
+    receiver = spawn(process.execPath, [path.join(SCRIPTS, "push-receiver.js")], {
+        env,
+        stdio: ["ignore", "pipe", "pipe"],
+    });
+    let buf = "";
+    receiver.stdout.on("data", (d) => {
+        buf += d;
+        let nl;
+        while ((nl = buf.indexOf("\n")) !== -1) {
+            const line = buf.slice(0, nl);
+            buf = buf.slice(nl + 1);
+            try {
+                logs.push(JSON.parse(line));
+            } catch {
+                // not a log line
+            }
+        }
+    });
+    const listening = await waitForLog((l) => l.msg === "push receiver listening");
+    baseUrl = `http://127.0.0.1:${listening.port}`;
+});
+
+after(async () => {
+    if (receiver && receiver.exitCode === null) {
+        const exited = new Promise((resolve) => receiver.once("exit", resolve));
+        receiver.kill("SIGTERM");
+        await exited;
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("requests other than POST to the notification path are 404", async () => {
+    assert.equal((await notify({}, { method: "GET" })).status, 404);
+    assert.equal((await notify({}, { pathname: "/other" })).status, 404);
+});
+
+test("notifications without channel id or state are rejected", async () => {
+    assert.equal((await notify({ "X-Goog-Channel-ID": "chan-a" })).status, 400);
+    assert.equal((await notify({ "X-Goog-Resource-State": "exists" })).status, 400);
+});
+
+test("a wrong channel token is refused and syncs nothing", async () => {
+    const res = await notify({
+        "X-Goog-Channel-ID": "chan-a",
+        "X-Goog-Resource-State": "exists",
+        "X-Goog-Channel-Token": "guess",
+    });
+    assert.equal(res.status, 403);
+});
+
+test("unknown channels and the sync handshake are acknowledged without syncing", async () => {
+    const unknown = await notify({
+        "X-Goog-Channel-ID": "chan-unknown",
+        "X-Goog-Resource-State": "exists",
+        "X-Goog-Channel-Token": "secret-token",
+    });
+    assert.equal(unknown.status, 200);
+    await waitForLog((l) => l.msg === "notification for unknown channel" && l.channelId === "chan-unknown");
+
+    const handshake = await notify({
+        "X-Goog-Channel-ID": "chan-a",
+        "X-Goog-Resource-State": "sync",
+        "X-Goog-Channel-Token": "secret-token",
+    });
+    assert.equal(handshake.status, 200);
+
+    await new Promise((r) => setTimeout(r, DEBOUNCE_MS * 4));
+    assert.equal(logs.filter((l) => l.msg === "push → sync").length, 0);
+});
+
+test("a change on a known channel syncs the enabled subscriptions of its profile and source", async () => {
+    const headers = {
+        "X-Goog-Channel-ID": "chan-a",
+        "X-Goog-Resource-State": "exists",
+        "X-Goog-Channel-Token": "secret-token",
+    };
+    // a burst is debounced into one sync
+    const statuses = await Promise.all([notify(headers), notify(headers), notify(headers)]);
+    assert.deepEqual(
+        statuses.map((r) => r.status),
+        [200, 200, 200]
+    );
+
+    const triggered = await waitForLog((l) => l.msg === "push → sync");
+    assert.equal(triggered.channelId, "chan-a");
+    assert.deepEqual([...triggered.subIds].sort(), ["sub-a1", "sub-a2"]);
+
+    await new Promise((r) => setTimeout(r, DEBOUNCE_MS * 4));
+    assert.equal(logs.filter((l) => l.msg === "push → sync").length, 1);
+    // and the worker really started on them
+    await waitForLog((l) => l.msg === "sync start" && l.subId === "sub-a1");
+});
+
+test("a failing sync is logged and the receiver keeps answering", async () => {
+    // no subscriptions table: looking up the channel's subscriptions throws
+    const db = new Database(env.DB_PATH);
+    db.exec("ALTER TABLE subscriptions RENAME TO subscriptions_away");
+    try {
+        const res = await notify({
+            "X-Goog-Channel-ID": "chan-a",
+            "X-Goog-Resource-State": "exists",
+            "X-Goog-Channel-Token": "secret-token",
+        });
+        assert.equal(res.status, 200);
+        const failed = await waitForLog((l) => l.msg === "push sync failed");
+        assert.equal(failed.channelId, "chan-a");
+        assert.match(failed.err, /no such table: subscriptions/);
+    } finally {
+        db.exec("ALTER TABLE subscriptions_away RENAME TO subscriptions");
+        db.close();
+    }
+    assert.equal(receiver.exitCode, null);
+    assert.equal((await notify({}, { method: "GET" })).status, 404);
+});
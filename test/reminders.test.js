@@ -0,0 +1,78 @@
+// test/reminders.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseReminders, remindersFromArg, compileReminders } from "../scripts/reminders.js";
+
+test("parseReminders normalizes and drops empty policies", () => {
+    assert.equal(parseReminders(null), null);
+    assert.equal(parseReminders("{}"), null);
+    assert.deepEqual(parseReminders({ default: [{ method: "popup", minutes: "30" }] }), {
+        default: [{ method: "popup", minutes: 30 }],
+    });
+    assert.deepEqual(parseReminders({ default: [] }), { default: [] });
+});
+
+test("parseReminders enforces Google's limits", () => {
+    assert.throws(() => parseReminders("[]"), /must be a JSON object/);
+    assert.throws(() => parseReminders({ defaults: [] }), /Unknown reminder keys: defaults/);
+    assert.throws(() => parseReminders({ default: {} }), /default must be an array/);
+    assert.throws(
+        () => parseReminders({ default: Array(6).fill({ method: "popup", minutes: 1 }) }),
+        /default: at most 5 reminders/
+    );
+    assert.throws(() => parseReminders({ default: [{ method: "sms", minutes: 1 }] }), /default\[0\]\.method/);
+    assert.throws(() => parseReminders({ default: [{ method: "popup", minutes: 40321 }] }), /0\.\.40320/);
+    assert.throws(() => parseReminders({ default: [{ method: "popup", minutes: 1.5 }] }), /integer/);
+    assert.throws(() => parseReminders({ rules: {} }), /rules must be an array/);
+    assert.throws(() => parseReminders({ rules: [{ overrides: [] }] }), /Filter syntax error/);
+    assert.throws(
+        () => parseReminders({ rules: [{ when: "exam", overrides: [{ method: "email" }] }] }),
+        /rules\[0\]\.overrides\[0\]\.minutes/
+    );
+});
+
+test("remindersFromArg accepts the popup:30,email:1440 shorthand", () => {
+    assert.equal(
+        remindersFromArg("popup:30, Email:1440"),
+        '{"default":[{"method":"popup","minutes":30},{"method":"email","minutes":1440}]}'
+    );
+    assert.equal(remindersFromArg("none"), '{"default":[]}');
+    assert.equal(remindersFromArg(""), null);
+    assert.equal(remindersFromArg(undefined), null);
+    assert.equal(
+        remindersFromArg('{"rules":[{"when":"exam","overrides":[]}]}'),
+        '{"rules":[{"when":"exam","overrides":[]}]}'
+    );
+    assert.throws(() => remindersFromArg("popup"), /minutes must be an integer/);
+});
+
+test("the first matching rule wins, else the default", () => {
+    const apply = compileReminders({
+        default: [{ method: "popup", minutes: 10 }],
+        rules: [
+            { when: "summary:exam", overrides: [{ method: "email", minutes: 1440 }] },
+            { when: "exam OR quiz", overrides: [] },
+        ],
+    });
+    const payload = { summary: "x", reminders: { useDefault: true } };
+    assert.deepEqual(apply({ summary: "Final exam" }, payload).reminders, {
+        useDefault: false,
+        overrides: [{ method: "email", minutes: 1440 }],
+    });
+    assert.deepEqual(apply({ summary: "Quiz" }, payload).reminders, {
+        useDefault: false,
+        overrides: [],
+    });
+    assert.deepEqual(apply({ summary: "Lecture" }, payload).reminders, {
+        useDefault: false,
+        overrides: [{ method: "popup", minutes: 10 }],
+    });
+    assert.deepEqual(payload.reminders, { useDefault: true }); // input untouched
+});
+
+test("without a default, unmatched events keep the source reminders", () => {
+    assert.equal(compileReminders(null), null);
+    const apply = compileReminders({ rules: [{ when: "exam", overrides: [] }] });
+    const payload = { reminders: { useDefault: false, overrides: [{ method: "popup", minutes: 5 }] } };
+    assert.equal(apply({ summary: "Lecture" }, payload), payload);
+});
@@ -0,0 +1,106 @@
+// test/timeFilter.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    parseWeekdays,
+    parseTimeRange,
+    parseDateRange,
+    describeTimeFilter,
+    makeTimeFilter,
+} from "../scripts/timeFilter.js";
+
+const at = (dateTime, timeZone) => ({ start: timeZone ? { dateTime, timeZone } : { dateTime } });
+const allDay = (date) => ({ start: { date } });
+
+test("parseWeekdays normalizes names and keeps week order", () => {
+    assert.equal(parseWeekdays("fri, Monday,WED"), "mon,wed,fri");
+    assert.equal(parseWeekdays("sun,sat,sun"), "sun,sat");
+    assert.equal(parseWeekdays(""), null);
+    assert.equal(parseWeekdays(undefined), null);
+    assert.throws(() => parseWeekdays("mon,funday"), /Unknown weekday: funday/);
+});
+
+test("parseTimeRange pads hours and allows open ends", () => {
+    assert.deepEqual(parseTimeRange("8:00-18:30"), { from: "08:00", to: "18:30" });
+    assert.deepEqual(parseTimeRange("-12:00"), { from: null, to: "12:00" });
+    assert.deepEqual(parseTimeRange("22:00-"), { from: "22:00", to: null });
+    assert.deepEqual(parseTimeRange(""), { from: null, to: null });
+    assert.deepEqual(parseTimeRange("00:00-24:00"), { from: "00:00", to: "24:00" });
+    assert.throws(() => parseTimeRange("08:00"), /Invalid time range/);
+    assert.throws(() => parseTimeRange("8h-18h"), /Invalid time of day: 8h/);
+    assert.throws(() => parseTimeRange("08:60-09:00"), /Invalid time of day/);
+    assert.throws(() => parseTimeRange("24:30-"), /Invalid time of day/);
+});
+
+test("parseDateRange checks format and order", () => {
+    assert.deepEqual(parseDateRange("2025-09-01..2026-01-31"), {
+        from: "2025-09-01",
+        to: "2026-01-31",
+    });
+    assert.deepEqual(parseDateRange("..2026-01-31"), { from: null, to: "2026-01-31" });
+    assert.deepEqual(parseDateRange(null), { from: null, to: null });
+    assert.throws(() => parseDateRange("2025-09-01"), /Invalid date range/);
+    assert.throws(() => parseDateRange("2025-9-1..2025-10-01"), /Invalid date: 2025-9-1/);
+    assert.throws(() => parseDateRange("2026-01-31..2025-09-01"), /ends before it starts/);
+});
+
+test("describeTimeFilter summarizes the stored columns", () => {
+    assert.equal(
+        describeTimeFilter({
+            weekdays: "mon,thu",
+            time_from: "08:00",
+            time_to: null,
+            date_from: null,
+            date_to: "2026-01-31",
+        }),
+        "mon,thu 08:00- ..2026-01-31"
+    );
+    assert.equal(describeTimeFilter({}), "");
+});
+
+test("no restriction lets everything through", () => {
+    const f = makeTimeFilter({});
+    assert.equal(f(at("2025-09-01T03:00:00Z")), true);
+    assert.equal(f({}), true);
+});
+
+test("weekday and time window use the event's own time zone", () => {
+    const f = makeTimeFilter({ weekdays: "mon", time_from: "08:00", time_to: "18:00" });
+    // 2025-09-01 is a Monday; 06:30Z is 08:30 in Paris
+    assert.equal(f(at("2025-09-01T06:30:00Z", "Europe/Paris")), true);
+    assert.equal(f(at("2025-09-01T05:30:00Z", "Europe/Paris")), false); // 07:30
+    assert.equal(f(at("2025-09-01T16:00:00Z", "Europe/Paris")), false); // 18:00, exclusive
+    // Monday 23:30Z is already Tuesday in Paris
+    assert.equal(f(at("2025-09-01T23:30:00Z", "Europe/Paris")), false);
+});
+
+test("without a time zone the written wall clock is used", () => {
+    const f = makeTimeFilter({ time_from: "08:00", time_to: "10:00" });
+    assert.equal(f(at("2025-09-01T09:00:00-07:00")), true);
+    assert.equal(f(at("2025-09-01T10:00:00+02:00")), false);
+});
+
+test("a window with from > to wraps midnight", () => {
+    const f = makeTimeFilter({ time_from: "22:00", time_to: "02:00" });
+    assert.equal(f(at("2025-09-01T23:00:00")), true);
+    assert.equal(f(at("2025-09-01T01:59:00")), true);
+    assert.equal(f(at("2025-09-01T02:00:00")), false);
+    assert.equal(f(at("2025-09-01T12:00:00")), false);
+});
+
+test("date range is inclusive and all-day events skip the time window", () => {
+    const f = makeTimeFilter({
+        date_from: "2025-09-01",
+        date_to: "2025-09-30",
+        time_from: "08:00",
+        time_to: "09:00",
+    });
+    assert.equal(f(allDay("2025-09-01")), true);
+    assert.equal(f(allDay("2025-09-30")), true);
+    assert.equal(f(allDay("2025-10-01")), false);
+    assert.equal(f(at("2025-08-31T08:30:00")), false);
+
+    const weekend = makeTimeFilter({ weekdays: "sat,sun" });
+    assert.equal(weekend(allDay("2025-09-06")), true); // Saturday
+    assert.equal(weekend(allDay("2025-09-08")), false); // Monday
+});
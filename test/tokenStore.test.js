@@ -0,0 +1,192 @@
+// test/tokenStore.test.js
+// Encryption, key rotation and both backends against scratch directories (and a
+// migrated scratch database for sqlite). The secrets come from the environment when a
+// store is created, so each test sets them first.
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import Database from "better-sqlite3";
+import { createTokenStore, fileBackend, sqliteBackend } from "../scripts/tokenStore.js";
+
+const SCRIPTS = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "scripts");
+
+const OLD = "old-secret-old-secret-old-secret";
+const NEW = "new-secret-new-secret-new-secret";
+const TOKENS = { tokens: { refresh_token: "r1", access_token: "a1" } };
+
+let root, dir;
+
+before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), "gcfs-tokens-"));
+});
+
+after(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+});
+
+beforeEach((t) => {
+    dir = path.join(root, t.name.replace(/\W+/g, "-"));
+    delete process.env.TOKENSTORE_PREVIOUS_SECRET;
+});
+
+function storeWith(secret, previous, backend = dir) {
+    process.env.TOKENSTORE_SECRET = secret;
+    if (previous) process.env.TOKENSTORE_PREVIOUS_SECRET = previous;
+    else delete process.env.TOKENSTORE_PREVIOUS_SECRET;
+    return createTokenStore(backend);
+}
+
+const readJson = (id) => JSON.parse(fs.readFileSync(path.join(dir, `${id}.json`), "utf8"));
+
+/** A v1 file (no key id), as written before key ids were recorded. */
+function writeV1(id, secret, data) {
+    const salt = crypto.randomBytes(16);
+    const key = crypto.scryptSync(secret, salt, 32, { N: 1 << 15, r: 8, p: 1, maxmem: 256 * 1024 * 1024 });
+    const nonce = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv("aes-256-gcm", key, nonce);
+    const ct = Buffer.concat([cipher.update(JSON.stringify(data), "utf8"), cipher.final()]);
+    const payload = {
+        v: 1,
+        alg: "aes-256-gcm",
+        salt: salt.toString("base64"),
+        nonce: nonce.toString("base64"),
+        ct: ct.toString("base64"),
+        tag: cipher.getAuthTag().toString("base64"),
+    };
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, `${id}.json`), JSON.stringify(payload));
+}
+
+test("entries round-trip and are written as v2 with the key id", async () => {
+    const store = storeWith(NEW);
+    await store.save("p1", TOKENS);
+    assert.deepEqual(await store.load("p1"), TOKENS);
+    assert.equal(await store.load("missing"), null);
+
+    const file = readJson("p1");
+    assert.equal(file.v, 2);
+    assert.match(file.kid, /^[\w-]{8}$/);
+    assert.ok(!JSON.stringify(file).includes("refresh_token"));
+    assert.equal(fs.statSync(path.join(dir, "p1.json")).mode & 0o777, 0o600);
+    assert.deepEqual(store.listIds(), ["p1"]);
+});
+
+test("v1 files are still read, with either configured secret", async () => {
+    writeV1("legacy-new", NEW, TOKENS);
+    writeV1("legacy-old", OLD, TOKENS);
+    const store = storeWith(NEW, OLD);
+
+    assert.deepEqual(await store.load("legacy-new"), TOKENS);
+    assert.deepEqual(await store.load("legacy-old"), TOKENS);
+    assert.deepEqual(await store.inspect("legacy-new"), { version: 1, key: "current" });
+    assert.deepEqual(await store.inspect("legacy-old"), { version: 1, key: "previous" });
+
+    await assert.rejects(storeWith(NEW).load("legacy-old"), /Cannot decrypt/);
+});
+
+test("v2 entries are decrypted with the key their kid names", async () => {
+    await storeWith(OLD).save("before", TOKENS);
+    const rotated = storeWith(NEW, OLD);
+    await rotated.save("after", { tokens: { refresh_token: "r2" } });
+
+    assert.notEqual(readJson("before").kid, readJson("after").kid);
+    assert.deepEqual(await rotated.inspect("before"), { version: 2, key: "previous" });
+    assert.deepEqual(await rotated.inspect("after"), { version: 2, key: "current" });
+    assert.deepEqual(await rotated.load("before"), TOKENS);
+
+    // once the old secret is gone, its entries name a key nobody has
+    await assert.rejects(storeWith(NEW).load("before"), /unknown key/);
+});
+
+test("reencrypt moves every entry to the current secret", async () => {
+    await storeWith(OLD).save("a", TOKENS);
+    writeV1("b", OLD, TOKENS);
+    const rotated = storeWith(NEW, OLD);
+    await rotated.save("c", TOKENS);
+
+    assert.equal(await rotated.reencrypt(rotated.listIds()), 3);
+    const after = storeWith(NEW);
+    for (const id of ["a", "b", "c"]) {
+        assert.deepEqual(await after.inspect(id), { version: 2, key: "current" });
+        assert.deepEqual(await after.load(id), TOKENS);
+    }
+});
+
+test("reencrypt leaves the store untouched when one entry cannot be read", async () => {
+    await storeWith(OLD).save("a", TOKENS);
+    await storeWith("unrelated-secret-unrelated-secret").save("z", TOKENS);
+    const before = fs.readFileSync(path.join(dir, "a.json"));
+
+    const rotated = storeWith(NEW, OLD);
+    await assert.rejects(rotated.reencrypt(["a", "z"]), /^Error: z: /);
+    assert.ok(fs.readFileSync(path.join(dir, "a.json")).equals(before));
+});
+
+test("file writeAll replaces each file and leaves no staged files behind", () => {
+    const backend = fileBackend(dir);
+    backend.write("a", Buffer.from("old-a"));
+    backend.writeAll([
+        { id: "a", buf: Buffer.from("new-a") },
+        { id: "b", buf: Buffer.from("new-b") },
+    ]);
+    assert.equal(backend.read("a").toString(), "new-a");
+    assert.equal(backend.read("b").toString(), "new-b");
+    assert.deepEqual(fs.readdirSync(dir).sort(), ["a.json", "b.json"]);
+    assert.equal(fs.statSync(path.join(dir, "b.json")).mode & 0o777, 0o600);
+});
+
+test("file writeAll changes nothing when staging fails", () => {
+    const backend = fileBackend(dir);
+    backend.write("a", Buffer.from("old-a"));
+    assert.throws(() =>
+        backend.writeAll([
+            { id: "a", buf: Buffer.from("new-a") },
+            { id: "b", buf: 42 }, // not writable: staging throws on the second entry
+        ])
+    );
+    assert.equal(backend.read("a").toString(), "old-a");
+    assert.equal(backend.read("b"), null);
+    assert.deepEqual(fs.readdirSync(dir), ["a.json"]);
+});
+
+test("the sqlite backend round-trips and rotates like the files", async () => {
+    const dbPath = path.join(root, "sync.db");
+    const migrated = spawnSync(process.execPath, [path.join(SCRIPTS, "migrate.js")], {
+        env: {
+            ...process.env,
+            DOTENV_CONFIG_PATH: path.join(root, "none.env"), // keep the repo's .env out
+            DOTENV_CONFIG_QUIET: "true",
+            DB_PATH: dbPath,
+        },
+    });
+    assert.equal(migrated.status, 0, migrated.stderr?.toString());
+    const db = new Database(dbPath);
+    try {
+        const backend = sqliteBackend(db);
+        const store = storeWith(OLD, null, backend);
+        await store.save("p1", TOKENS);
+        await store.save("../p2", TOKENS); // ids are made safe as for file names
+        assert.deepEqual(store.listIds(), [".._p2", "p1"]);
+        assert.deepEqual(await store.load("p1"), TOKENS);
+        assert.deepEqual(await store.load("../p2"), TOKENS);
+        assert.equal(await store.load("missing"), null);
+
+        const blob = db.prepare(`SELECT blob FROM token_store WHERE id='p1'`).get().blob;
+        assert.equal(JSON.parse(blob).v, 2);
+
+        const rotated = storeWith(NEW, OLD, backend);
+        assert.equal(await rotated.reencrypt(rotated.listIds()), 2);
+        assert.deepEqual(await storeWith(NEW, null, backend).inspect("p1"), { version: 2, key: "current" });
+
+        store.remove("p1");
+        assert.deepEqual(store.listIds(), [".._p2"]);
+        assert.throws(() => sqliteBackend(new Database(":memory:")), /run `npm run migrate` first/);
+    } finally {
+        db.close();
+    }
+});
@@ -0,0 +1,105 @@
+// test/transforms.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { parseTransform, transformFromArg, compileTransform } from "../scripts/transforms.js";
+
+const source = {
+    summary: "Cours Convex optimization",
+    description: "Room change",
+    location: "Amphi B",
+    htmlLink: "https://calendar.google.com/event?eid=abc",
+    organizer: { email: "prof@school.edu" },
+};
+
+test("parseTransform normalizes defaults and drops empty configs", () => {
+    assert.equal(parseTransform(null), null);
+    assert.equal(parseTransform(""), null);
+    assert.equal(parseTransform("{}"), null);
+    assert.equal(parseTransform({ footer: false }), null);
+    assert.deepEqual(parseTransform('{"rename":[{"pattern":"^x"}],"footer":true}'), {
+        rename: [{ pattern: "^x", flags: "g", replace: "" }],
+        footer: "Mirrored from: {htmlLink}",
+    });
+    assert.deepEqual(parseTransform({ colors: [{ when: "exam", colorId: 11 }] }), {
+        colors: [{ when: "exam", colorId: "11" }],
+    });
+});
+
+test("parseTransform rejects malformed configs", () => {
+    assert.throws(() => parseTransform("[]"), /must be a JSON object/);
+    assert.throws(() => parseTransform("{"), SyntaxError);
+    assert.throws(() => parseTransform({ summaryTemplate: 1 }), /summaryTemplate must be a string/);
+    assert.throws(() => parseTransform({ rename: {} }), /rename must be an array/);
+    assert.throws(() => parseTransform({ rename: [{}] }), /rename\[0\]\.pattern must be a string/);
+    assert.throws(() => parseTransform({ rename: [{ pattern: "(" }] }), SyntaxError);
+    assert.throws(() => parseTransform({ colors: [{ when: "x", colorId: "12" }] }), /colors\[0\]\.colorId/);
+    assert.throws(() => parseTransform({ colors: [{ when: "a AND", colorId: "1" }] }), /Filter syntax error/);
+    assert.throws(() => parseTransform({ footer: 3 }), /footer must be true or a template string/);
+    assert.throws(() => parseTransform({ sumary: "x" }), /Unknown transform keys: sumary/);
+});
+
+test("transformFromArg reads inline JSON or @file and clears on empty", () => {
+    assert.equal(transformFromArg(undefined), null);
+    assert.equal(transformFromArg("  "), null);
+    assert.equal(transformFromArg('{"summaryTemplate":"[ML] {summary}"}'), '{"summaryTemplate":"[ML] {summary}"}');
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "gcfs-transform-"));
+    try {
+        const file = path.join(dir, "t.json");
+        fs.writeFileSync(file, '{ "footer": true }\n');
+        assert.equal(transformFromArg(`@${file}`), '{"footer":"Mirrored from: {htmlLink}"}');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test("compileTransform returns null when there is nothing to apply", () => {
+    assert.equal(compileTransform(null), null);
+    assert.equal(compileTransform("{}"), null);
+});
+
+test("rename rules run in order, then the summary template", () => {
+    const apply = compileTransform({
+        rename: [
+            { pattern: "^Cours\\s+", flags: "i", replace: "" },
+            { pattern: "optimization", replace: "opt." },
+        ],
+        summaryTemplate: "[ML] {summary} @ {location} ({unknown})",
+    });
+    const out = apply(source, { summary: source.summary, description: "d" });
+    assert.equal(out.summary, "[ML] Convex opt. @ Amphi B ({unknown})");
+    assert.equal(out.description, "d");
+});
+
+test("the payload summary is kept without rename or template", () => {
+    const apply = compileTransform({ colors: [{ when: "nothing-matches", colorId: "2" }] });
+    const payload = { summary: "as mirrored" };
+    const out = apply(source, payload);
+    assert.deepEqual(out, payload);
+    assert.notEqual(out, payload); // a copy, the input payload is untouched
+});
+
+test("the first matching color rule wins", () => {
+    const apply = compileTransform({
+        colors: [
+            { when: "summary:/exam/", colorId: "11" },
+            { when: "location:amphi", colorId: "9" },
+            { when: "convex", colorId: "3" },
+        ],
+    });
+    assert.equal(apply(source, {}).colorId, "9");
+    assert.equal(apply({ ...source, summary: "Exam" }, {}).colorId, "11");
+    assert.equal(apply({ summary: "Other" }, {}).colorId, undefined);
+});
+
+test("the footer is appended to the description", () => {
+    const apply = compileTransform({ footer: "By {organizer}: {htmlLink}" });
+    assert.equal(
+        apply(source, { description: "Room change" }).description,
+        "Room change\n\nBy prof@school.edu: https://calendar.google.com/event?eid=abc"
+    );
+    assert.equal(apply({}, {}).description, "By : ");
+});